@@ -5,6 +5,7 @@ declare type Watcher = {
 
 declare type FieldMatchOptions = {
   id?: string,
+  vid?: string,
   scope?: string,
   name?: string
 }
@@ -15,5 +16,8 @@ declare type FieldError = {
   scope: ?string,
   id: ?string,
   rule: ?string,
-  regenerate?: () => string // regenerates the error message.
+  regenerate?: () => string, // regenerates the error message.
+  server?: boolean, // if the error was reported by the server.
+  value?: any, // the field value the server error was reported for.
+  severity?: 'warning' // set for the messages of the warning rules.
 };
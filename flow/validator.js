@@ -12,16 +12,55 @@ declare type ValidationResult = {
   id: string,
   valid: boolean,
   error: ?MapObject,
-  errors: ?Array<FieldError>
+  errors: ?Array<FieldError>,
+  token?: ValidationToken
+};
+
+declare type ValidationToken = {
+  id: number, // the run number, increases with each run of the field
+  cancelled: boolean, // set once a newer run supersedes this one
+  promise?: Promise<ValidationResult>
+};
+
+declare type HookPayload = {
+  id: string, // the field id
+  vmId: ?number, // the id of the component that owns the field
+  name: string,
+  scope: ?string,
+  value?: any, // beforeValidate and validated
+  initial?: boolean, // beforeValidate, if it is the validation that runs when the field is attached
+  silent?: boolean, // beforeValidate, if the run does not update the errors and flags
+  valid?: boolean, // validated
+  errors?: Array<FieldError>, // validated and errorsChanged
+  warnings?: Array<FieldError> // validated and errorsChanged
+};
+
+declare type VerifyResult = {
+  valid: boolean,
+  errors: string[], // the error messages
+  failedRules: { [string]: string }, // the error message of each failed rule
+  warnings: string[] // the messages of the failed warning rules
+};
+
+declare type ObjectValidationResult = {
+  valid: boolean,
+  errors: { [string]: string[] }, // the error messages of each validated key
+  failedRules: { [string]: { [string]: string } }, // the failed rules of each validated key
+  warnings: { [string]: string[] } // the warning messages of each validated key
 };
 
 declare type ExtendOptions = {
   hasTarget?: boolean,
-  initial?: boolean
+  computesRequired?: boolean,
+  initial?: boolean,
+  severity?: 'error' | 'warning', // warnings are reported apart and never invalidate the field
+  priority?: number // the rules with a higher priority run first
 };
 
 declare type FieldOptions = {
   name: string, // the name of the field (required)
+  vid?: string, // a stable identifier for the field that does not depend on its name or scope
+  key?: string, // the key of the field array row the field belongs to
   alias?: string, // the name that will be used in the error messages
   aria?: boolean, // if aria attributes should be set on the element (only for native HTML inputs)
   classNames?: { // the classes that will be applied depending on each flag if classes are enabled
@@ -37,11 +76,15 @@ declare type FieldOptions = {
   delay?: number, // the debounce time (ms) for the validation
   el?: HTMLElement, // The DOM element for this field
   events?: string, // a pipe seperated list of events that will be used to trigger validation
+  mode?: string | (context: { errors: string[], flags: MapObject, value: any }) => { on: string | string[] }, // the interaction mode, takes priority over the events
   getter?: () => any, // a getter function for the current field value, will be used to resolve the field value.
+  setter?: (value: any) => boolean, // a setter function for the field value, will be used to restore the initial value.
   initial?: boolean, // if it should be validated immediatly
   initialValue?: any, // the initial field value
   listen?: boolean, // if the validator should listen to any events (disables automatic validation if false)
   rules?: string | MapObject, // the field validation rules
+  sequential?: boolean, // if the rules should run one after the other, waiting for the async rules
+  transform?: string | Function | Array<string | Function>, // the transforms applied to the value before it is validated
   scope?: string | null, // the string name of the field scope
   targetOf?: string | null, // the id of the field that targets this one
   validity?: boolean, // if constrained validation API should be used (mdn)
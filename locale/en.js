@@ -35,9 +35,22 @@ const messages = {
   min: (field, [length]) => `The ${field} field must be at least ${length} characters.`,
   min_value: (field, [min]) => `The ${field} field must be ${min} or more.`,
   excluded: (field) => `The ${field} field must be a valid value.`,
+  not: (field) => `The ${field} field value is not allowed.`,
   numeric: (field) => `The ${field} field may only contain numeric characters.`,
+  or: (field, params, { messages = [] } = {}) => {
+    // joins the messages of the failed alternatives into a single sentence.
+    const alternatives = messages.map((msg, idx) => {
+      return (idx ? msg.charAt(0).toLowerCase() + msg.slice(1) : msg).replace(/\.$/, '');
+    });
+
+    return `${alternatives.join(', or ')}.`;
+  },
   regex: (field) => `The ${field} field format is invalid.`,
   required: (field) => `The ${field} field is required.`,
+  required_if: (field, [target]) => `The ${field} field is required when the ${target} field has this value.`,
+  required_unless: (field, [target]) => `The ${field} field is required unless the ${target} field has this value.`,
+  required_with: (field, [target]) => `The ${field} field is required when the ${target} field is present.`,
+  required_without: (field, [target]) => `The ${field} field is required when the ${target} field is not present.`,
   size: (field, [size]) => `The ${field} size must be less than ${formatFileSize(size)}.`,
   url: (field) => `The ${field} field is not a valid URL.`
 };
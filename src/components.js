@@ -1,3 +1,26 @@
+import Config from './config';
+import Resolver from './core/resolver';
+import { combine } from './core/mapFields';
+import { assign, createFlags, find, includes, isCallable, isNullOrUndefined, parseSelector, warn } from './core/utils';
+
+// @flow
+
+/**
+ * Links a rendered error element to the field it displays the errors of, unlinking it from the previous one.
+ */
+const linkErrorElement = (el: HTMLElement, field: ?Object) => {
+  if (!el || el._veeValidateErrorField === field) return;
+
+  if (el._veeValidateErrorField) {
+    el._veeValidateErrorField.removeErrorElement(el);
+  }
+
+  el._veeValidateErrorField = field;
+  if (field) {
+    field.addErrorElement(el);
+  }
+};
+
 export const ErrorComponent = {
   name: 'vv-error',
   inject: ['$validator'],
@@ -7,12 +30,467 @@ export const ErrorComponent = {
       type: String,
       required: true
     },
+    scope: {
+      type: String,
+      default: null
+    },
+    rule: {
+      type: String,
+      default: null
+    },
+    all: {
+      type: Boolean,
+      default: false
+    },
+    limit: {
+      type: Number,
+      default: null
+    },
+    tag: {
+      type: String,
+      default: 'span'
+    }
+  },
+  render (createElement, { props, data, injections }) {
+    const { errors, fields } = injections.$validator;
+    const selector = props.rule ? `${props.for}:${props.rule}` : props.for;
+    const count = !isNullOrUndefined(props.limit) ? props.limit : (props.all ? Infinity : 1);
+    const items = errors.collect(selector, props.scope, false).slice(0, count);
+    if (!items.length) {
+      return createElement();
+    }
+
+    const { name, scope } = isNullOrUndefined(props.scope) ? parseSelector(props.for) : { name: props.for, scope: props.scope };
+    const field = fields.find({ name, scope }) || fields.find({ name: props.for });
+    // keep the classes and attributes set on the component.
+    const rootData: MapObject = {
+      class: data.class,
+      staticClass: data.staticClass,
+      style: data.style,
+      attrs: assign({}, data.attrs)
+    };
+
+    // the rendered element describes the input, elements are relinked as they can be reused for other fields.
+    rootData.hook = {
+      insert: vnode => linkErrorElement(vnode.elm, field),
+      postpatch: (oldVnode, vnode) => linkErrorElement(vnode.elm, field),
+      destroy: vnode => linkErrorElement(vnode.elm, null)
+    };
+
+    const slot = data.scopedSlots && data.scopedSlots.default;
+    if (isCallable(slot)) {
+      return createElement(props.tag, rootData, slot({ errors: items.map(({ msg, rule, field }) => ({ msg, rule, field })) }));
+    }
+
+    if (items.length === 1) {
+      return createElement(props.tag, rootData, items[0].msg);
+    }
+
+    const itemTag = includes(['ul', 'ol'], props.tag) ? 'li' : 'span';
+
+    return createElement(props.tag, rootData, items.map(item => createElement(itemTag, item.msg)));
+  }
+};
+
+/**
+ * Checks if the vnode has a v-model bound to it, either as a component model or a directive.
+ */
+const hasModel = (vnode: Object): boolean => {
+  if (!vnode.data) {
+    return false;
+  }
+
+  return !!vnode.data.model || !!find(vnode.data.directives || [], d => d.name === 'model');
+};
+
+/**
+ * Finds the first vnode in the tree that has a v-model bound to it.
+ */
+const findModelNode = (vnodes: ?Array<Object>): ?Object => {
+  if (!Array.isArray(vnodes)) {
+    return null;
+  }
+
+  for (let i = 0; i < vnodes.length; i++) {
+    const vnode = vnodes[i];
+    if (hasModel(vnode)) {
+      return vnode;
+    }
+
+    const children = vnode.children || (vnode.componentOptions && vnode.componentOptions.children);
+    const candidate = findModelNode(children);
+    if (candidate) {
+      return candidate;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Resolves the default slot nodes of a renderless component, passing the slot props if it is scoped.
+ */
+const resolveSlot = (vm: Object, slotProps: MapObject): Array<Object> => {
+  const nodes = isCallable(vm.$scopedSlots.default) ? vm.$scopedSlots.default(slotProps) : vm.$slots.default;
+
+  return Array.isArray(nodes) ? nodes : [nodes];
+};
+
+/**
+ * Renders the slot nodes as is if there is a single root, otherwise wraps them with the tag.
+ */
+const renderSlot = (h: Function, tag: string, nodes: Array<Object>) => {
+  if (nodes.length === 1 && nodes[0]) {
+    return nodes[0];
+  }
+
+  return h(tag, nodes);
+};
+
+export const ValidationProvider = {
+  name: 'ValidationProvider',
+  inject: ['$validator'],
+  props: {
+    rules: {
+      type: [String, Object],
+      default: ''
+    },
+    name: {
+      type: String,
+      default: null
+    },
+    vid: {
+      type: String,
+      default: null
+    },
+    immediate: {
+      type: Boolean,
+      default: false
+    },
+    mode: {
+      type: [String, Function],
+      default: null
+    },
+    transform: {
+      type: [String, Function, Array],
+      default: null
+    },
     tag: {
       type: String,
       default: 'span'
     }
   },
-  render (createElement, { props, injections }) {
-    return createElement(props.tag, injections.$validator.errors.first(props.for));
+  data: () => ({
+    fieldId: null,
+    flags: createFlags()
+  }),
+  computed: {
+    // named to avoid clashing with the injected error bag computed property.
+    fieldErrors () {
+      if (!this.fieldId) {
+        return [];
+      }
+
+      return this.$validator.errors.items.filter(e => e.id === this.fieldId).map(e => e.msg);
+    }
+  },
+  watch: {
+    rules () {
+      this._updateField({ rules: this._resolveRules() });
+    },
+    name (name) {
+      this._updateField({ name });
+    },
+    mode (mode) {
+      this._updateField({ mode });
+    },
+    transform (transform) {
+      this._updateField({ transform });
+    }
+  },
+  methods: {
+    /**
+     * Triggers validation for the wrapped field.
+     */
+    validate (): Promise<boolean> {
+      if (!this._field) {
+        return Promise.resolve(true);
+      }
+
+      return this.$validator.validate(`#${this._field.id}`);
+    },
+    _updateField (options: MapObject) {
+      if (!this._field) return;
+
+      this._field.update(options);
+    },
+    _makeBinding (): MapObject {
+      return {
+        value: { rules: this.rules },
+        modifiers: { immediate: this.immediate }
+      };
+    },
+    _resolveRules () {
+      if (!this._modelNode || !this._modelNode.elm) {
+        return this.rules;
+      }
+
+      return Resolver.resolveRules(this._modelNode.elm, this._makeBinding(), this._modelNode);
+    },
+    /**
+     * Attaches a field for the model node, re-attaching it if the rendered element was replaced.
+     */
+    _syncField () {
+      const vnode = this._modelNode;
+      const el = vnode && vnode.elm;
+      if (this._field && this._field.el === el) {
+        return;
+      }
+
+      this._detachField();
+      if (!el) {
+        if (process.env.NODE_ENV !== 'production') {
+          warn('ValidationProvider expects its slot to contain an input bound with v-model.');
+        }
+
+        return;
+      }
+
+      const options = Resolver.generate(el, this._makeBinding(), vnode);
+      options.vm = Resolver.makeVM(vnode.context, this.$validator);
+      options.vid = this.vid;
+      if (this.mode) {
+        options.mode = this.mode;
+      }
+      if (this.transform) {
+        options.transform = this.transform;
+      }
+      if (!isNullOrUndefined(this.name)) {
+        options.name = this.name;
+      }
+
+      this._field = this.$validator.attach(options);
+      this.fieldId = this._field.id;
+      this.flags = this._field.flags;
+    },
+    /**
+     * Links the element given the errorId of the slot data to the field, if one is rendered.
+     */
+    _syncErrorElement () {
+      const field = this._field;
+      const el = field && this.$el && isCallable(this.$el.querySelector) ? this.$el.querySelector(`#${field.errorId}`) : null;
+      if (el === this._errorElement) return;
+
+      if (this._errorElement) {
+        field.removeErrorElement(this._errorElement);
+      }
+
+      this._errorElement = el;
+      if (el) {
+        field.addErrorElement(el);
+      }
+    },
+    _detachField () {
+      if (!this._field) return;
+
+      this._errorElement = null;
+      this.$validator.detach(this._field);
+      this._field = null;
+      this.fieldId = null;
+      this.flags = createFlags();
+    }
+  },
+  mounted () {
+    this._syncField();
+    this._syncErrorElement();
+  },
+  updated () {
+    this._syncField();
+    this._syncErrorElement();
+  },
+  beforeDestroy () {
+    this._detachField();
+  },
+  render (h) {
+    const slotProps = {
+      errors: this.fieldErrors,
+      flags: this.flags,
+      validate: this.validate,
+      errorId: this.fieldId && this._field ? this._field.errorId : null
+    };
+
+    const nodes = resolveSlot(this, slotProps);
+    this._modelNode = findModelNode(nodes);
+
+    return renderSlot(h, this.tag, nodes);
+  }
+};
+
+export const ValidationObserver = {
+  name: 'ValidationObserver',
+  props: {
+    tag: {
+      type: String,
+      default: 'span'
+    }
+  },
+  data: () => ({
+    // the rendered root, kept in the data since $el is not reactive.
+    root: null
+  }),
+  computed: {
+    /**
+     * All fields rendered within the observer, regardless of the component that registered them.
+     */
+    observedFields () {
+      const validator = Config.dependency('validator');
+      const root = this.root;
+      if (!validator || !root || !isCallable(root.contains)) {
+        return [];
+      }
+
+      return validator.fields.items.filter(field => !!field.el && root.contains(field.el));
+    },
+    combinedFlags () {
+      const flags = this.observedFields.reduce((acc, field) => {
+        return acc ? combine(acc, field.flags) : assign({}, field.flags);
+      }, null);
+
+      return flags || createFlags();
+    },
+    fieldErrors () {
+      const validator = Config.dependency('validator');
+
+      return this.observedFields.reduce((acc, field) => {
+        const name = field.scope ? `${field.scope}.${field.name}` : field.name;
+        acc[name] = validator.errors.items.filter(e => e.id === field.id).map(e => e.msg);
+
+        return acc;
+      }, {});
+    }
+  },
+  methods: {
+    /**
+     * Validates all the observed fields.
+     */
+    validate (): Promise<boolean> {
+      const validator = Config.dependency('validator');
+      if (!validator) {
+        return Promise.resolve(true);
+      }
+
+      return Promise.all(
+        this.observedFields.map(field => validator.validate(`#${field.id}`))
+      ).then(results => results.every(r => r));
+    },
+    /**
+     * Resets the flags and errors of all the observed fields.
+     */
+    reset (): Promise<void> {
+      const validator = Config.dependency('validator');
+      if (!validator) {
+        return Promise.resolve();
+      }
+
+      return validator.reset(this.observedFields.map(field => ({ id: field.id })));
+    }
+  },
+  mounted () {
+    this.root = this.$el;
+  },
+  updated () {
+    // the root element is replaced if the slot renders a different root node.
+    if (this.root !== this.$el) {
+      this.root = this.$el;
+    }
+  },
+  render (h) {
+    const nodes = resolveSlot(this, {
+      errors: this.fieldErrors,
+      flags: this.combinedFlags,
+      validate: this.validate,
+      reset: this.reset
+    });
+
+    return renderSlot(h, this.tag, nodes);
+  }
+};
+
+/**
+ * Sorts the errors by the document position of their fields, the errors without an element come last.
+ */
+const byDocumentPosition = (a: { el: ?HTMLElement }, b: { el: ?HTMLElement }): number => {
+  if (!a.el || !b.el) {
+    return !a.el === !b.el ? 0 : (a.el ? -1 : 1);
+  }
+
+  if (a.el === b.el) return 0;
+
+  return a.el.compareDocumentPosition(b.el) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1;
+};
+
+export const ErrorSummary = {
+  name: 'vv-error-summary',
+  inject: ['$validator'],
+  props: {
+    scope: {
+      type: String,
+      default: null
+    },
+    tag: {
+      type: String,
+      default: 'div'
+    }
+  },
+  computed: {
+    /**
+     * The errors of the validator ordered by the document position of their fields.
+     */
+    entries (): Array<MapObject> {
+      const { errors, fields } = this.$validator;
+      const items = errors.items.filter(e => {
+        return (isNullOrUndefined(errors.vmId) || e.vmId === errors.vmId) && (isNullOrUndefined(this.scope) || e.scope === this.scope);
+      });
+
+      // the sort is stable for the errors of the same field, so they keep the rules order.
+      return items.map((error, idx) => {
+        const field = error.id ? fields.find({ id: error.id }) : null;
+
+        return { error, field, idx, el: field ? field.focusTarget : null };
+      }).sort((a, b) => byDocumentPosition(a, b) || a.idx - b.idx).map(({ error, field, el }) => ({
+        field: error.field,
+        scope: error.scope,
+        rule: error.rule,
+        msg: error.msg,
+        id: error.id,
+        href: el && el.id ? `#${el.id}` : '#',
+        focus: () => {
+          if (el && isCallable(el.focus)) el.focus();
+        }
+      }));
+    }
+  },
+  render (h) {
+    if (isCallable(this.$scopedSlots.default)) {
+      return renderSlot(h, this.tag, resolveSlot(this, { errors: this.entries }));
+    }
+
+    if (!this.entries.length) {
+      return h();
+    }
+
+    const links = this.entries.map(entry => h('li', [
+      h('a', {
+        attrs: { href: entry.href },
+        on: {
+          click: (e: Event) => {
+            e.preventDefault();
+            entry.focus();
+          }
+        }
+      }, entry.msg)
+    ]));
+
+    return h(this.tag, { class: 'vv-error-summary' }, [h('ul', links)]);
   }
 };
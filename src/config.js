@@ -10,13 +10,18 @@ const defaultConfig = {
   errorBagName: 'errors',
   dictionary: null,
   strict: true,
+  strictRules: false,
   fieldsBagName: 'fields',
   classes: false,
   classNames: null,
   events: 'input',
+  mode: null,
+  transform: null,
   inject: true,
   fastExit: true,
+  sequential: false,
   aria: true,
+  liveRegion: false,
   validity: false,
   i18n: null,
   i18nRootKey: 'validation'
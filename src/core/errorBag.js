@@ -1,11 +1,20 @@
 import { find, isNullOrUndefined, isCallable, values, parseSelector } from './utils';
+import { parseResponse } from './serverAdapters';
 
 // @flow
 
+/**
+ * Checks if the error was reported by the rule, the errors of the combined rules match their combinator as well.
+ */
+const isReportedBy = (error: FieldError, rule: string): boolean => {
+  return error.rule === rule || (!!error.rule && error.rule.indexOf(`${rule}.`) === 0);
+};
+
 export default class ErrorBag {
   items: FieldError[];
+  warnings: ?ErrorBag;
 
-  constructor (errorBag = null, id = null) {
+  constructor (errorBag = null, id = null, isWarnings = false) {
     this.vmId = id || null;
     // make this bag a mirror of the provided one, sharing the same items reference.
     if (errorBag && errorBag instanceof ErrorBag) {
@@ -13,6 +22,28 @@ export default class ErrorBag {
     } else {
       this.items = [];
     }
+
+    // the messages of the warning rules are kept apart since they do not invalidate the fields.
+    if (!isWarnings) {
+      this.warnings = new ErrorBag(errorBag && errorBag.warnings, id, true);
+    }
+  }
+
+  /**
+   * Creates an error bag from the validation errors of a server response.
+   * Laravel, JSON:API and RFC 7807 payloads are detected automatically, or a custom adapter can be provided.
+   */
+  static fromResponse (response: any, adapter?: string | Function): ErrorBag {
+    const bag = new ErrorBag();
+    bag.add(parseResponse(response, adapter).map(({ field, msg }) => ({
+      field,
+      msg,
+      rule: 'server',
+      scope: null,
+      server: true
+    })));
+
+    return bag;
   }
 
   [typeof Symbol === 'function' ? Symbol.iterator : '@@iterator'] () {
@@ -59,21 +90,35 @@ export default class ErrorBag {
     this.items.forEach(i => {
       i.msg = isCallable(i.regenerate) ? i.regenerate() : i.msg;
     });
+
+    if (this.warnings) {
+      this.warnings.regenerate();
+    }
   }
 
   /**
-   * Updates a field error with the new field scope.
+   * Updates the field errors with the new field scope or name, regenerating the messages for the new name.
    */
   update (id: string, error: FieldError) {
-    const item = find(this.items, i => i.id === id);
-    if (!item) {
-      return;
-    }
+    const items = this.items.filter(i => i.id === id);
+    items.forEach(item => {
+      const idx = this.items.indexOf(item);
+      this.items.splice(idx, 1);
+      if (error.scope !== undefined) {
+        item.scope = error.scope;
+      }
 
-    const idx = this.items.indexOf(item);
-    this.items.splice(idx, 1);
-    item.scope = error.scope;
-    this.items.push(item);
+      if (error.field !== undefined && error.field !== item.field) {
+        item.field = error.field;
+        item.msg = isCallable(item.regenerate) ? item.regenerate() : item.msg;
+      }
+
+      this.items.push(item);
+    });
+
+    if (this.warnings) {
+      this.warnings.update(id, error);
+    }
   }
 
   /**
@@ -133,6 +178,10 @@ export default class ErrorBag {
         --i;
       }
     }
+
+    if (this.warnings) {
+      this.warnings.clear(scope);
+    }
   }
 
   /**
@@ -237,7 +286,7 @@ export default class ErrorBag {
    * Gets the first error message for a specific field and a rule.
    */
   firstByRule (name: string, rule: string, scope?: string | null = null) {
-    const error = this.collect(name, scope, false).filter(e => e.rule === rule)[0];
+    const error = this.collect(name, scope, false).filter(e => isReportedBy(e, rule))[0];
 
     return (error && error.msg) || undefined;
   }
@@ -246,7 +295,7 @@ export default class ErrorBag {
    * Gets the first error message for a specific field that not match the rule.
    */
   firstNot (name: string, rule?: string = 'required', scope?: string | null = null) {
-    const error = this.collect(name, scope, false).filter(e => e.rule !== rule)[0];
+    const error = this.collect(name, scope, false).filter(e => !isReportedBy(e, rule))[0];
 
     return (error && error.msg) || undefined;
   }
@@ -266,6 +315,10 @@ export default class ErrorBag {
         --i;
       }
     }
+
+    if (this.warnings) {
+      this.warnings.removeById(id);
+    }
   }
 
   /**
@@ -285,6 +338,10 @@ export default class ErrorBag {
         --i;
       }
     }
+
+    if (this.warnings) {
+      this.warnings.remove(field, scope);
+    }
   }
 
   _makeCandidateFilters (selector) {
@@ -296,7 +353,7 @@ export default class ErrorBag {
     const { id, rule, scope, name } = parseSelector(selector);
 
     if (rule) {
-      matchesRule = (item) => item.rule === rule;
+      matchesRule = (item) => isReportedBy(item, rule);
     }
 
     // match by id, can be combined with rule selection.
@@ -1,10 +1,13 @@
 import Resolver from './resolver';
 import Validator from './validator';
+import { resolveMode } from '../modes';
+import { resolveTransform } from '../transforms';
 import {
   uniqId,
   createFlags,
   assign,
   normalizeRules,
+  resolveWarningRules,
   isNullOrUndefined,
   getDataAttribute,
   toggleClass,
@@ -37,6 +40,8 @@ const DEFAULT_OPTIONS = {
   validity: true,
   aria: true,
   events: 'input|blur',
+  mode: null,
+  transform: null,
   delay: 0,
   classNames: {
     touched: 'touched', // the control has been blurred
@@ -48,14 +53,35 @@ const DEFAULT_OPTIONS = {
   }
 };
 
+/**
+ * Replaces the ids previously added to the aria-describedby attribute, keeping the ids that were set by others.
+ */
+const updateDescribedBy = (el: HTMLElement, previous: string[], added: string[]) => {
+  const ids = (el.getAttribute('aria-describedby') || '').split(/\s+/).filter(i => i && !includes(previous, i) && !includes(added, i));
+  ids.push(...added);
+
+  if (ids.length) {
+    el.setAttribute('aria-describedby', ids.join(' '));
+    return;
+  }
+
+  el.removeAttribute('aria-describedby');
+};
+
 export default class Field {
   id: string;
+  vid: ?string;
+  key: ?string;
   el: ?HTMLInputElement;
   updated: boolean;
-  dependencies: Array<{ name: string, field: Field }>;
+  forceRequired: boolean;
+  dependencies: Array<{ name: string, field?: Field, target?: Field }>;
   watchers: Watcher[];
   events: string[];
+  mode: ?Function;
+  transform: ?Function;
   rules: { [string]: Object };
+  warningRules: string[];
   validity: boolean;
   aria: boolean;
   vm: Object | null;
@@ -64,6 +90,7 @@ export default class Field {
   flags: { [string]: boolean };
   alias: ?string;
   getter: () => any;
+  setter: ?(value: any) => boolean;
   name: string;
   scope: string | null;
   targetOf: ?string;
@@ -74,19 +101,30 @@ export default class Field {
   listen: boolean;
   model: null | { expression: string | null, lazy: boolean };
   value: any;
+  errorElements: HTMLElement[];
   _alias: ?string;
   _delay: number | Object;
+  _describedBy: string[];
 
   constructor (options: FieldOptions | MapObject = {}) {
     this.id = uniqId();
+    this.vid = options.vid || null;
+    this.key = null;
     this.el = options.el;
     this.updated = false;
+    this.forceRequired = false;
     this.dependencies = [];
     this.vmId = options.vmId;
+    this.headless = !!options.headless;
     this.watchers = [];
     this.events = [];
+    this.mode = null;
+    this.transform = null;
     this.delay = 0;
     this.rules = {};
+    this.warningRules = [];
+    this.errorElements = [];
+    this._describedBy = [];
     this._cacheId(options);
     this.classNames = assign({}, DEFAULT_OPTIONS.classNames);
     options = assign({}, DEFAULT_OPTIONS, options);
@@ -112,7 +150,7 @@ export default class Field {
   }
 
   get isRequired (): boolean {
-    return !!this.rules.required;
+    return !!this.rules.required || this.forceRequired;
   }
 
   get isDisabled (): boolean {
@@ -151,10 +189,44 @@ export default class Field {
     return this.getter();
   }
 
+  /**
+   * Gets the input value after it went through the field transforms, which is the value the rules validate.
+   */
+  get normalizedValue (): any {
+    return this.normalize(this.value);
+  }
+
+  /**
+   * Gets the id of the element that displays the field errors, which describes the input.
+   */
+  get errorId (): string {
+    return `vv-error-${this.id}`;
+  }
+
+  /**
+   * Gets the element to focus when the field is invalid, the first form control within the component root for components.
+   */
+  get focusTarget (): ?HTMLElement {
+    if (this.el && !this.componentInstance) {
+      return this.el;
+    }
+
+    const root = this.componentInstance ? this.componentInstance.$el : this.el;
+    if (!root || !isCallable(root.querySelector) || includes(['INPUT', 'SELECT', 'TEXTAREA', 'BUTTON'], root.tagName)) {
+      return root || null;
+    }
+
+    return root.querySelector('input, select, textarea, button, [tabindex]') || root;
+  }
+
   get bails () {
     return this._bails;
   }
 
+  get sequential () {
+    return this._sequential;
+  }
+
   /**
    * If the field rejects false as a valid value for the required rule.
    */
@@ -183,6 +255,10 @@ export default class Field {
       return this.id === options.id;
     }
 
+    if (options.vid) {
+      return this.vid === options.vid;
+    }
+
     let matchesComponentId = isNullOrUndefined(options.vmId) ? () => true : (id) => id === this.vmId;
     if (!matchesComponentId(options.vmId)) {
       return false;
@@ -212,6 +288,13 @@ export default class Field {
     }
   }
 
+  /**
+   * Applies the field transforms to the value.
+   */
+  normalize (value: any): any {
+    return this.transform ? this.transform(value) : value;
+  }
+
   /**
    * Updates the field with changed data.
    */
@@ -225,16 +308,39 @@ export default class Field {
     }
     this.scope = !isNullOrUndefined(options.scope) ? options.scope
       : !isNullOrUndefined(this.scope) ? this.scope : null;
+
+    // the row state moves along with the key when the element is re-used for another row of a field array.
+    if (options.key !== undefined && options.key !== this.key && this.updated && isCallable(this.validator.update)) {
+      this.validator.update(this.id, { key: options.key });
+    }
+    this.key = options.key !== undefined ? options.key : this.key;
+
+    const previousName = this.name;
     this.name = (!isNullOrUndefined(options.name) ? String(options.name) : options.name) || this.name || null;
+    // rename the errors as well, like when the rows of a field array are re-indexed.
+    if (this.updated && previousName !== this.name && isCallable(this.validator.update)) {
+      this.validator.update(this.id, { name: this.name });
+    }
     this.rules = options.rules !== undefined ? normalizeRules(options.rules) : this.rules;
+    // headless fields are validated once, their unknown rules fail the validation instead.
+    if (options.rules !== undefined && !this.headless) {
+      Validator.checkRules(this.rules);
+    }
+    this.warningRules = options.rules !== undefined ? resolveWarningRules(options.rules) : this.warningRules;
+    // the required state computed by conditional rules is stale once the rules change.
+    this.forceRequired = options.rules !== undefined ? false : this.forceRequired;
     this._bails = options.bails !== undefined ? options.bails : this._bails;
+    this._sequential = options.sequential !== undefined ? options.sequential : this._sequential;
     this.model = options.model || this.model;
     this.listen = options.listen !== undefined ? options.listen : this.listen;
     this.classes = (options.classes || this.classes || false) && !this.componentInstance;
     this.classNames = isObject(options.classNames) ? merge(this.classNames, options.classNames) : this.classNames;
     this.getter = isCallable(options.getter) ? options.getter : this.getter;
+    this.setter = isCallable(options.setter) ? options.setter : this.setter;
     this._alias = options.alias || this._alias;
     this.events = (options.events) ? makeEventsArray(options.events) : this.events;
+    this.mode = options.mode !== undefined ? resolveMode(options.mode) : this.mode;
+    this.transform = options.transform !== undefined ? resolveTransform(options.transform) : this.transform;
     this.delay = makeDelayObject(this.events, options.delay || this.delay, this._delay);
     this.updateDependencies();
     this.addActionListeners();
@@ -280,11 +386,33 @@ export default class Field {
     });
 
     this.addActionListeners();
+    if (this.mode) {
+      this.addValueListeners();
+    }
     this.updateClasses();
     this.updateAriaAttrs();
     this.updateCustomValidity();
   }
 
+  /**
+   * Restores the initial value with the value setter, returns false if the value could not be restored.
+   */
+  restore (): boolean {
+    if (!isCallable(this.setter)) {
+      return false;
+    }
+
+    return this.setter(this.initialValue) !== false;
+  }
+
+  /**
+   * Sets the current value as the initial value, so the changed and dirty flags are computed against it afterwards.
+   */
+  commit () {
+    this.initialValue = this.value;
+    this.setFlags({ changed: false, dirty: false });
+  }
+
   /**
    * Sets the flags and their negated counterparts, and updates the classes and re-adds action listeners.
    */
@@ -324,7 +452,7 @@ export default class Field {
   */
   updateDependencies () {
     // reset dependencies.
-    this.dependencies.forEach(d => d.field.destroy());
+    this.dependencies.forEach(d => d.field && d.field.destroy());
     this.dependencies = [];
 
     // we get the selectors for each field.
@@ -336,16 +464,19 @@ export default class Field {
       return prev;
     }, []);
 
-    if (!fields.length || !this.vm || !this.vm.$el) return;
+    if (!fields.length || !this.vm) return;
 
-    // must be contained within the same component, so we use the vm root element constrain our dom search.
     fields.forEach(({ selector, name }) => {
-      const ref = this.vm.$refs[selector];
-      const el = Array.isArray(ref) ? ref[0] : ref;
-      if (!el) {
+      // prefer the fields registered with the validator, they can be matched by their vid, name or scope.
+      // the validator re-validates this field when they change, so there is no need to listen to them.
+      const target = isCallable(this.validator.resolveTarget) ? this.validator.resolveTarget(this, selector) : null;
+      if (target) {
+        this.dependencies.push({ name, target });
         return;
       }
 
+      if (!this.vm.$el) return;
+
       const options: FieldOptions = {
         vm: this.vm,
         classes: this.classes,
@@ -357,6 +488,13 @@ export default class Field {
         targetOf: this.id
       };
 
+      // must be contained within the same component, so we use the vm root element constrain our dom search.
+      const ref = this.vm.$refs[selector];
+      const el = Array.isArray(ref) ? ref[0] : ref;
+      if (!el) {
+        return;
+      }
+
       // probably a component.
       if (isCallable(el.$watch)) {
         options.component = el;
@@ -516,17 +654,29 @@ export default class Field {
     return 'change';
   }
 
+  /**
+   * Resolves the events to listen to next from the interaction mode, using the current field errors and flags.
+   */
+  _resolveModeEvents (): string[] {
+    const errors = this.validator.errors ? this.validator.errors.items.filter(e => e.id === this.id).map(e => e.msg) : [];
+    const { on } = this.mode({ errors, flags: this.flags, value: this.value }) || {};
+
+    return Array.isArray(on) ? [...on] : makeEventsArray(on);
+  }
+
   /**
    * Determines the list of events to listen to.
    */
   _determineEventList (defaultInputEvent) {
+    const events = this.mode ? this._resolveModeEvents() : this.events;
     // if no event is configured, or it is a component or a text input then respect the user choice.
-    if (!this.events.length || this.componentInstance || isTextInput(this.el)) {
-      return [...this.events];
+    // the input event of a mode is mapped to the model event of components as well.
+    if (!events.length || (this.componentInstance && !this.mode) || isTextInput(this.el)) {
+      return [...events];
     }
 
     // force suitable event for non-text type fields.
-    return this.events.map(e => {
+    return events.map(e => {
       if (e === 'input') {
         return defaultInputEvent;
       }
@@ -558,6 +708,8 @@ export default class Field {
 
     const inputEvent = this._determineInputEvent();
     let events = this._determineEventList(inputEvent);
+    // the mode events may not be configured, so they fallback to the initial delay.
+    const delay = this.mode ? makeDelayObject(events, this.delay, this._delay) : this.delay;
 
     // if there is a model and an on input validation is requested.
     if (this.model && includes(events, inputEvent)) {
@@ -576,7 +728,7 @@ export default class Field {
       }
 
       if (ctx && expression) {
-        const debouncedFn = debounce(fn, this.delay[inputEvent], false, token);
+        const debouncedFn = debounce(fn, delay[inputEvent], false, token);
         const unwatch = ctx.$watch(expression, (...args) => {
           this.flags.pending = true;
           this._cancellationToken = token;
@@ -594,7 +746,7 @@ export default class Field {
 
     // Add events.
     events.forEach(e => {
-      const debouncedFn = debounce(fn, this.delay[e], false, token);
+      const debouncedFn = debounce(fn, delay[e], false, token);
       const validate = (...args) => {
         this.flags.pending = true;
         this._cancellationToken = token;
@@ -648,24 +800,56 @@ export default class Field {
     });
   }
 
+  /**
+   * Links a rendered element displaying the field errors to the input, the first one without an id is given the error id.
+   */
+  addErrorElement (el: HTMLElement) {
+    if (!el || includes(this.errorElements, el)) return;
+
+    if (!el.id && !this.errorElements.some(e => e.id === this.errorId)) {
+      el.id = this.errorId;
+    }
+
+    this.errorElements.push(el);
+    this.updateAriaAttrs();
+  }
+
+  /**
+   * Unlinks an error element that is no longer rendered or displays another field.
+   */
+  removeErrorElement (el: HTMLElement) {
+    const idx = this.errorElements.indexOf(el);
+    if (idx === -1) return;
+
+    this.errorElements.splice(idx, 1);
+    if (el.id === this.errorId) {
+      el.removeAttribute('id');
+    }
+    this.updateAriaAttrs();
+  }
+
   /**
    * Updates aria attributes on the element.
    */
   updateAriaAttrs () {
     if (!this.aria || !this.el || !isCallable(this.el.setAttribute)) return;
 
+    // the input is only described by the error elements that are rendered.
+    const describedBy = this.flags.invalid ? this.errorElements.map(el => el.id).filter(Boolean) : [];
     const applyAriaAttrs = (el) => {
       el.setAttribute('aria-required', this.isRequired ? 'true' : 'false');
       el.setAttribute('aria-invalid', this.flags.invalid ? 'true' : 'false');
+      updateDescribedBy(el, this._describedBy, describedBy);
     };
 
     if (!isCheckboxOrRadioInput(this.el)) {
       applyAriaAttrs(this.el);
-      return;
+    } else {
+      const els = document.querySelectorAll(`input[name="${this.el.name}"]`);
+      toArray(els).forEach(applyAriaAttrs);
     }
 
-    const els = document.querySelectorAll(`input[name="${this.el.name}"]`);
-    toArray(els).forEach(applyAriaAttrs);
+    this._describedBy = describedBy;
   }
 
   /**
@@ -687,7 +871,7 @@ export default class Field {
     }
 
     this.unwatch();
-    this.dependencies.forEach(d => d.field.destroy());
+    this.dependencies.forEach(d => d.field && d.field.destroy());
     this.dependencies = [];
   }
 }
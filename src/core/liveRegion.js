@@ -0,0 +1,52 @@
+// @flow
+
+const REGION_ID = 'vv-live-region';
+
+// hides the region visually while keeping it available to screen readers.
+const HIDDEN_STYLE = 'position:absolute;width:1px;height:1px;margin:-1px;padding:0;overflow:hidden;clip:rect(0,0,0,0);border:0;';
+
+/**
+ * Finds the live region in the document, creating it if it was not created yet.
+ */
+const resolveRegion = (): ?HTMLElement => {
+  if (typeof document === 'undefined' || !document.body) {
+    return null;
+  }
+
+  let region = document.getElementById(REGION_ID);
+  if (region) {
+    return region;
+  }
+
+  region = document.createElement('div');
+  region.id = REGION_ID;
+  region.setAttribute('role', 'status');
+  region.setAttribute('aria-live', 'polite');
+  region.setAttribute('aria-atomic', 'true');
+  region.setAttribute('style', HIDDEN_STYLE);
+  document.body.appendChild(region);
+
+  return region;
+};
+
+/**
+ * Announces the messages with a polite live region, so screen readers read them once the user is idle.
+ */
+export const announce = (messages: string[]): void => {
+  if (!messages.length) return;
+
+  const region = resolveRegion();
+  if (!region) return;
+
+  region.textContent = messages.join(' ');
+};
+
+/**
+ * Removes the live region from the document.
+ */
+export const removeLiveRegion = (): void => {
+  const region = typeof document !== 'undefined' ? document.getElementById(REGION_ID) : null;
+  if (region && region.parentNode) {
+    region.parentNode.removeChild(region);
+  }
+};
@@ -1,4 +1,4 @@
-import { assign, includes } from './utils/index';
+import { assign, includes, parseSelector } from './utils/index';
 
 // @flow
 
@@ -19,7 +19,7 @@ const normalize = (fields: Array<any> | Object): Object => {
 };
 
 // Combines two flags using either AND or OR depending on the flag type.
-const combine = (lhs: MapObject, rhs: MapObject): boolean => {
+export const combine = (lhs: MapObject, rhs: MapObject): MapObject => {
   const mapper = {
     pristine: (lhs, rhs) => lhs && rhs,
     dirty: (lhs, rhs) => lhs || rhs,
@@ -60,6 +60,28 @@ const mapScope = (scope: MapObject, deep: boolean = true): MapObject => {
   }, null);
 };
 
+/**
+ * Creates a matcher for the field names of a field array pattern like 'items[*]' or 'items[*].qty'.
+ */
+const makeArrayMatcher = (pattern: string): RegExp => {
+  const source = pattern.split('[*]').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('\\[[^\\]]+\\]');
+
+  return new RegExp(`^${source}(?:[.[].*)?$`);
+};
+
+/**
+ * Combines the flags of all the fields of a field array.
+ */
+const mapArray = (flags: MapObject, selector: string): MapObject => {
+  const { scope, name } = parseSelector(selector);
+  const bag = scope ? (flags[`$${scope}`] || {}) : flags;
+  const matcher = makeArrayMatcher(name);
+
+  return Object.keys(bag).filter(field => field[0] !== '$' && matcher.test(field)).reduce((acc, field) => {
+    return acc ? combine(acc, bag[field]) : assign({}, bag[field]);
+  }, null) || {};
+};
+
 /**
  * Maps fields to computed functions.
  */
@@ -84,6 +106,11 @@ const mapFields = (fields?: Array<any> | Object): Object | Function => {
         return mapScope(this.$validator.flags, false);
       }
 
+      // a field array was selected: items[*]
+      if (includes(field, '[*]')) {
+        return mapArray(this.$validator.flags, field);
+      }
+
       // if it has a scope defined
       const index = field.indexOf('.');
       if (index <= 0) {
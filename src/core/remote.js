@@ -0,0 +1,145 @@
+import { assign, isCallable, isObject, createError } from './utils';
+
+// @flow
+
+const DEFAULT_OPTIONS = {
+  debounce: 0,
+  cache: 50,
+  timeout: 0,
+  message: null
+};
+
+/**
+ * Normalizes the fetcher result to the rule result object.
+ */
+const normalizeResult = (result: any): { valid: boolean, data?: MapObject } => {
+  if (isObject(result)) {
+    return { valid: !!result.valid, data: result.data || {} };
+  }
+
+  return { valid: !!result, data: {} };
+};
+
+/**
+ * Creates a cache that evicts the least recently used entries once it is full.
+ */
+const createCache = (size: number) => {
+  const keys = [];
+  const entries = {};
+
+  return {
+    has: (key: string) => keys.indexOf(key) !== -1,
+    get (key: string) {
+      // mark the entry as the most recently used.
+      keys.splice(keys.indexOf(key), 1);
+      keys.push(key);
+
+      return entries[key];
+    },
+    set (key: string, value: any) {
+      if (size <= 0) return;
+
+      if (this.has(key)) {
+        keys.splice(keys.indexOf(key), 1);
+      }
+
+      keys.push(key);
+      entries[key] = value;
+      if (keys.length > size) {
+        delete entries[keys.shift()];
+      }
+    },
+    clear () {
+      keys.splice(0, keys.length);
+      Object.keys(entries).forEach(key => delete entries[key]);
+    }
+  };
+};
+
+/**
+ * Creates a rule that checks the value with a remote call, like checking if a username is taken.
+ * The fetcher receives the value and the rule params and resolves a boolean or a { valid, data } object,
+ * the data is passed to the message generator.
+ * Calls are delayed by the debounce time and dropped if the validation was superseded in the meantime,
+ * the results are cached by value and concurrent calls for the same value share a single request.
+ */
+export default function remote (fetcher: (value: any, params: any[]) => any, options?: MapObject = {}) {
+  if (!isCallable(fetcher)) {
+    throw createError('The remote rule expects a fetcher function.');
+  }
+
+  const { debounce, cache: cacheSize, timeout, message } = assign({}, DEFAULT_OPTIONS, options || {});
+  const cache = createCache(Number(cacheSize));
+  const inflight = {};
+
+  const request = (key: string, value: any, params: any[]) => {
+    if (inflight[key]) {
+      return inflight[key];
+    }
+
+    let timer = null;
+    // fetchers that throw synchronously reject the validation as well.
+    const requests = [new Promise(resolve => resolve(fetcher(value, params))).then(result => {
+      const normalized = normalizeResult(result);
+      cache.set(key, normalized);
+
+      return normalized;
+    })];
+
+    if (timeout > 0) {
+      // nothing was checked, so the value is not blamed. The timeout result is not cached,
+      // but the fetcher result is once it arrives, so the next validation of the value uses it.
+      requests.push(new Promise(resolve => {
+        timer = setTimeout(() => resolve({ valid: true, data: { timeout: true } }), timeout);
+      }));
+    }
+
+    const clear = () => {
+      clearTimeout(timer);
+      delete inflight[key];
+    };
+
+    inflight[key] = Promise.race(requests).then(result => {
+      clear();
+
+      return result;
+    }, error => {
+      clear();
+
+      throw error;
+    });
+
+    return inflight[key];
+  };
+
+  const validate = (value: any, params: any[] = [], token?: { cancelled: boolean }) => {
+    const key = JSON.stringify([value, params]);
+    if (cache.has(key)) {
+      return Promise.resolve(cache.get(key));
+    }
+
+    if (!(debounce > 0)) {
+      return request(key, value, params);
+    }
+
+    return new Promise(resolve => setTimeout(resolve, debounce)).then(() => {
+      // the result of a superseded validation is dropped, so there is no need to make the call.
+      if (token && token.cancelled) {
+        return { valid: true, data: {} };
+      }
+
+      return cache.has(key) ? cache.get(key) : request(key, value, params);
+    });
+  };
+
+  const rule: MapObject = {
+    validate,
+    clearCache: () => cache.clear()
+  };
+
+  if (message) {
+    rule.getMessage = isCallable(message) ? message : () => message;
+  }
+
+  return rule;
+}
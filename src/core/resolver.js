@@ -11,7 +11,9 @@ import {
   isCallable,
   deepParseInt,
   fillRulesFromElement,
-  includes
+  includes,
+  isCheckboxOrRadioInput,
+  toPathSegments
 } from './utils';
 
 /**
@@ -24,9 +26,12 @@ export default class Resolver {
 
     return {
       name: Resolver.resolveName(el, vnode),
+      key: Resolver.resolveKey(el, vnode),
+      vid: Resolver.resolveVid(el, vnode),
       el: el,
       listen: !binding.modifiers.disable,
       bails: binding.modifiers.bails ? true : (binding.modifiers.continues === true ? false : undefined),
+      sequential: binding.modifiers.sequential ? true : undefined,
       scope: Resolver.resolveScope(el, binding, vnode),
       vm: Resolver.makeVM(vnode.context),
       expression: binding.value,
@@ -34,7 +39,10 @@ export default class Resolver {
       classes: options.classes,
       classNames: options.classNames,
       getter: Resolver.resolveGetter(el, vnode, model),
+      setter: Resolver.resolveSetter(el, vnode, model),
       events: Resolver.resolveEvents(el, vnode) || options.events,
+      mode: Resolver.resolveMode(el, vnode) || options.mode,
+      transform: Resolver.resolveTransform(el, vnode) || options.transform,
       model,
       delay: Resolver.resolveDelay(el, vnode, options),
       rules: Resolver.resolveRules(el, binding, vnode),
@@ -86,9 +94,11 @@ export default class Resolver {
 
   /**
    * Creates a non-circular partial VM instance from a Vue instance.
+   * The validator can be overridden for fields owned by a different component than their context.
    * @param {*} vm
+   * @param {*} validator
    */
-  static makeVM (vm) {
+  static makeVM (vm, validator = vm.$validator) {
     return {
       get $el () {
         return vm.$el;
@@ -97,10 +107,11 @@ export default class Resolver {
         return vm.$refs;
       },
       $watch: vm.$watch ? vm.$watch.bind(vm) : () => {},
-      $validator: vm.$validator ? {
-        errors: vm.$validator.errors,
-        validate: vm.$validator.validate.bind(vm.$validator),
-        update: vm.$validator.update.bind(vm.$validator)
+      $validator: validator ? {
+        errors: validator.errors,
+        validate: validator.validate.bind(validator),
+        update: validator.update.bind(validator),
+        resolveTarget: validator._resolveTarget.bind(validator)
       } : null
     };
   }
@@ -163,6 +174,85 @@ export default class Resolver {
     return events;
   }
 
+  /**
+   * Resolves the interaction mode of the field.
+   * @param {*} el
+   * @param {*} vnode
+   */
+  static resolveMode (el, vnode) {
+    let mode = getDataAttribute(el, 'mode');
+
+    // resolve from data-vv-mode if its a vue component.
+    if (!mode && vnode.componentInstance && vnode.componentInstance.$attrs) {
+      mode = vnode.componentInstance.$attrs['data-vv-mode'];
+    }
+
+    // resolve it from $_veeValidate options.
+    if (!mode && vnode.componentInstance) {
+      const config = Resolver.getCtorConfig(vnode);
+      mode = config && config.mode;
+    }
+
+    return mode;
+  }
+
+  /**
+   * Resolves the transforms applied to the field value before it is validated.
+   * @param {*} el
+   * @param {*} vnode
+   */
+  static resolveTransform (el, vnode) {
+    let transform = getDataAttribute(el, 'transform');
+
+    // resolve from data-vv-transform if its a vue component.
+    if (!transform && vnode.componentInstance && vnode.componentInstance.$attrs) {
+      transform = vnode.componentInstance.$attrs['data-vv-transform'];
+    }
+
+    // resolve it from $_veeValidate options.
+    if (!transform && vnode.componentInstance) {
+      const config = Resolver.getCtorConfig(vnode);
+      transform = config && config.transform;
+    }
+
+    return transform;
+  }
+
+  /**
+   * Resolves the row key of the field, which identifies the row of a field array the field belongs to.
+   * @param {*} el
+   * @param {*} vnode
+   */
+  static resolveKey (el, vnode) {
+    let key = getDataAttribute(el, 'key');
+
+    // resolve from data-vv-key if its a vue component.
+    if (isNullOrUndefined(key) && vnode.componentInstance && vnode.componentInstance.$attrs) {
+      key = vnode.componentInstance.$attrs['data-vv-key'];
+    }
+
+    if (isNullOrUndefined(key)) {
+      key = vnode.key;
+    }
+
+    return !isNullOrUndefined(key) ? String(key) : null;
+  }
+
+  /**
+   * Resolves the stable identifier of the field, which other components use to target it.
+   * @param {*} el
+   * @param {*} vnode
+   */
+  static resolveVid (el, vnode) {
+    let vid = getDataAttribute(el, 'vid');
+
+    if (isNullOrUndefined(vid) && vnode.componentInstance && vnode.componentInstance.$attrs) {
+      vid = vnode.componentInstance.$attrs['data-vv-vid'];
+    }
+
+    return !isNullOrUndefined(vid) ? String(vid) : null;
+  }
+
   /**
    * Resolves the scope for the field.
    * @param {*} el
@@ -293,4 +383,67 @@ export default class Resolver {
     };
     }
   }
+
+  /**
+   * Returns a value setter that updates the model expression, the component model or the element value.
+   * The setter returns false if the value could not be set.
+   */
+  static resolveSetter (el, vnode, model) {
+    const fallback = vnode.componentInstance ? Resolver.resolveComponentSetter(vnode) : Resolver.resolveElementSetter(el, model);
+    if (!model || !model.expression) {
+      return fallback;
+    }
+
+    return (value) => {
+      const segments = toPathSegments(model.expression);
+      const key = segments.pop();
+      const target = segments.length ? getPath(segments.join('.'), vnode.context) : vnode.context;
+      if (target === null || typeof target !== 'object') {
+        return fallback ? fallback(value) : false;
+      }
+
+      // nested objects may not have the property yet, so it is added reactively.
+      if (target === vnode.context) {
+        target[key] = value;
+      } else {
+        vnode.context.$set(target, key, value);
+      }
+
+      return true;
+    };
+  }
+
+  /**
+   * Returns a setter that emits the model event, since the component model prop is owned by its parent.
+   */
+  static resolveComponentSetter (vnode) {
+    const { event } = vnode.componentInstance.$options.model || { event: 'input' };
+
+    return (value) => {
+      vnode.componentInstance.$emit(event, value);
+
+      return true;
+    };
+  }
+
+  /**
+   * Returns a setter that sets the element value, then triggers the model event so v-model writes it back,
+   * like for the models of v-for aliases that cannot be resolved from the context.
+   */
+  static resolveElementSetter (el, model) {
+    if (isCheckboxOrRadioInput(el) || includes(['file', 'select-multiple'], el.type) || !('value' in el)) {
+      return null;
+    }
+
+    return (value) => {
+      el.value = isNullOrUndefined(value) ? '' : value;
+      if (model) {
+        const evt = document.createEvent('HTMLEvents');
+        evt.initEvent(model.lazy || el.tagName === 'SELECT' ? 'change' : 'input', true, true);
+        el.dispatchEvent(evt);
+      }
+
+      return true;
+    };
+  }
 }
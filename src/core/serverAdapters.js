@@ -0,0 +1,121 @@
+import { find, isCallable, isObject, warn } from './utils';
+
+// @flow
+
+/**
+ * Converts a dotted or JSON pointer path to a field path, numeric segments are written as array indexes.
+ * 'items.0.qty' and '/items/0/qty' become 'items[0].qty'.
+ */
+export const toFieldPath = (path: string): string => {
+  const segments = String(path).split(path[0] === '/' ? '/' : '.').filter(segment => segment !== '');
+
+  return segments.reduce((fieldPath, segment) => {
+    if (/^\d+$/.test(segment) && fieldPath) {
+      return `${fieldPath}[${segment}]`;
+    }
+
+    return fieldPath ? `${fieldPath}.${segment}` : segment;
+  }, '');
+};
+
+/**
+ * Laravel validation responses: { message, errors: { field: ['message'] } }
+ */
+const laravel = {
+  test: (payload: MapObject) => isObject(payload.errors),
+  parse: (payload: MapObject): Array<{ field: string, msg: string }> => {
+    return Object.keys(payload.errors).reduce((errors, key) => {
+      const messages = Array.isArray(payload.errors[key]) ? payload.errors[key] : [payload.errors[key]];
+      messages.forEach(msg => errors.push({ field: toFieldPath(key), msg: String(msg) }));
+
+      return errors;
+    }, []);
+  }
+};
+
+/**
+ * JSON:API error objects: { errors: [{ detail, source: { pointer: '/data/attributes/field' } }] }
+ */
+const jsonapi = {
+  test: (payload: MapObject) => Array.isArray(payload.errors),
+  parse: (payload: MapObject): Array<{ field: string, msg: string }> => {
+    return payload.errors.filter(error => error && error.source && error.source.pointer).map(error => {
+      // the resource attributes and relationships are the fields.
+      const pointer = error.source.pointer.replace(/^\/data(\/(attributes|relationships))?/, '');
+
+      return {
+        field: toFieldPath(pointer),
+        msg: String(error.detail || error.title)
+      };
+    });
+  }
+};
+
+/**
+ * RFC 7807 problem details: { type, title, 'invalid-params': [{ name, reason }] }
+ */
+const problem = {
+  test: (payload: MapObject) => Array.isArray(payload['invalid-params']),
+  parse: (payload: MapObject): Array<{ field: string, msg: string }> => {
+    return payload['invalid-params'].filter(param => param && param.name).map(param => ({
+      field: toFieldPath(param.name),
+      msg: String(param.reason || payload.title)
+    }));
+  }
+};
+
+const adapters = {
+  laravel,
+  jsonapi,
+  problem
+};
+
+/**
+ * Resolves the response payload, unwrapping the response objects of HTTP clients like axios.
+ */
+const resolvePayload = (response: any): ?MapObject => {
+  if (!isObject(response)) {
+    return null;
+  }
+
+  if (isObject(response.response) && isObject(response.response.data)) {
+    return response.response.data;
+  }
+
+  // the body may be wrapped in a data property, unless it is already a recognized payload.
+  const isPayload = Object.keys(adapters).some(name => adapters[name].test(response));
+  if (!isPayload && isObject(response.data)) {
+    return response.data;
+  }
+
+  return response;
+};
+
+/**
+ * Parses the errors of a server response with the named or custom adapter, or the first adapter that recognizes it.
+ */
+export const parseResponse = (response: any, adapter?: string | Function): Array<{ field: string, msg: string }> => {
+  const payload = resolvePayload(response);
+  if (!payload) {
+    return [];
+  }
+
+  if (isCallable(adapter)) {
+    return adapter(payload);
+  }
+
+  if (adapter && !adapters[adapter]) {
+    if (process.env.NODE_ENV !== 'production') {
+      warn(`No server errors adapter named "${String(adapter)}" exists.`);
+    }
+
+    return [];
+  }
+
+  // problem details are the most specific payloads, so they are checked first.
+  const name = adapter || find(['problem', 'jsonapi', 'laravel'], key => adapters[key].test(payload));
+
+  return name && adapters[name].test(payload) ? adapters[name].parse(payload) : [];
+};
+
+export default adapters;
@@ -130,6 +130,20 @@ export const getForm = (el: HTMLInputElement) => {
   return !isNullOrUndefined(el.parentNode) ? getForm(el.parentNode) : null;
 };
 
+/**
+ * Splits a path into its segments, array indexes can be written as 'items[0]' or 'items.0'.
+ */
+export const toPathSegments = (path: string): string[] => {
+  return String(path).replace(/\[([^\].]+)\]/g, '.$1').split('.').filter(segment => segment !== '');
+};
+
+/**
+ * Checks if the first segment of a selector is a path into an array, like 'items[0].qty', rather than a scope.
+ */
+export const isArrayPath = (selector: string): boolean => {
+  return /^[^.]+\[[^\]]*\]/.test(selector);
+};
+
 /**
  * Gets the value in an object safely.
  */
@@ -137,8 +151,8 @@ export const getPath = (path: string, target: ?Object, def: any = undefined) =>
   if (!path || !target) return def;
 
   let value = target;
-  path.split('.').every(prop => {
-    if (prop in value) {
+  toPathSegments(path).every(prop => {
+    if (value !== null && typeof value === 'object' && prop in value) {
       value = value[prop];
 
       return true;
@@ -169,16 +183,248 @@ export const hasPath = (path: string, target: Object) => {
 };
 
 /**
- * Parses a rule string expression.
+ * The rules that combine other rules expressions, their params are the combined expressions.
  */
-export const parseRule = (rule: string): Object => {
-  let params = [];
-  const name = rule.split(':')[0];
+export const COMBINATORS = ['or', 'all', 'not'];
+
+export const isCombinator = (name: string): boolean => includes(COMBINATORS, name);
+
+// the separators that can be escaped with a backslash outside of quotes, other backslashes are kept as they are.
+const ESCAPABLE = ['|', ','];
+
+/**
+ * Tokenizes a rules expression like 'required|included:a,"b,c"|or:[email|digits:10]'.
+ * Params can be quoted with single or double quotes to contain separators, separators can be escaped
+ * with a backslash, and a list of params can be written within brackets.
+ * Throws for malformed expressions, mentioning the position of the offending character.
+ */
+export const parseRules = (expression: string): Array<{ name: string, params: any[], warning: boolean }> => {
+  let pos = 0;
+  const isEnd = () => pos >= expression.length;
+  const current = () => expression[pos];
+  const isQuote = char => char === '\'' || char === '"';
+  const skipSpaces = () => {
+    while (!isEnd() && /\s/.test(current())) pos++;
+  };
+  const fail = (reason: string, at: number = pos) => {
+    throw createError(`${reason} at position ${at} of the rules expression "${expression}".`);
+  };
+  const expectEnd = (stops: string[]) => {
+    if (!isEnd() && !includes(stops, current())) {
+      fail(`Unexpected "${current()}"`);
+    }
+  };
+
+  // returns the escaped character, or null if there is no escape sequence at the position.
+  const readEscape = (escapable: string[]): ?string => {
+    if (current() !== '\\' || !includes(escapable, expression[pos + 1])) {
+      return null;
+    }
+
+    pos += 2;
+
+    return expression[pos - 1];
+  };
+
+  // returns null if the quote is not closed before the stop characters, so it is read as part of a raw value.
+  const readQuoted = (stops: string[]): ?string => {
+    const start = pos;
+    const quote = expression[pos++];
+    let value = '';
+    while (!isEnd() && current() !== quote) {
+      const escaped = readEscape([quote]);
+      value += escaped !== null ? escaped : expression[pos++];
+    }
+
+    pos++;
+    if (pos > expression.length || (!isEnd() && !includes(stops, current()))) {
+      pos = start;
+      return null;
+    }
+
+    return value;
+  };
+
+  // raw values end at the stop characters that are not within brackets, like the character classes of patterns.
+  const readRaw = (stops: string[]): string => {
+    const brackets = [];
+    let groups = 0;
+    let value = '';
+    while (!isEnd() && (brackets.length || !includes(stops, current()))) {
+      const escaped = readEscape(ESCAPABLE);
+      if (escaped !== null) {
+        value += escaped;
+        continue;
+      }
+
+      // other escape sequences are kept, so escaped brackets of patterns are not paired.
+      if (current() === '\\' && pos + 1 < expression.length) {
+        value += expression.substr(pos, 2);
+        pos += 2;
+        continue;
+      }
+
+      if (current() === '[') {
+        brackets.push(pos);
+      } else if (current() === ']' && brackets.length) {
+        brackets.pop();
+      } else if (current() === '(' && !brackets.length) {
+        groups++;
+      } else if (current() === ')' && !brackets.length && groups) {
+        groups--;
+      }
+
+      value += expression[pos++];
+    }
+
+    if (brackets.length) {
+      fail('Unclosed bracket', brackets[0]);
+    }
+
+    // a pipe within a group like '^(a|b)$' would split the pattern into another rule.
+    if (groups && current() === '|') {
+      fail('Unexpected "|" within a group, quote the parameter or escape the pipe');
+    }
+
+    return value;
+  };
+
+  // lists are only recognized if they have many or quoted items, so a single bracketed pattern keeps its meaning.
+  const readList = (stops: string[]): ?any[] => {
+    const start = pos++;
+    const items = [];
+    let hasQuotes = false;
+    do {
+      skipSpaces();
+      const quoted = isQuote(current()) ? readQuoted([',', ']', ' ']) : null;
+      if (quoted !== null) {
+        hasQuotes = true;
+        items.push(quoted);
+      } else {
+        const list = current() === '[' ? readList([',', ']']) : null;
+        items.push(list || readRaw([',', ']']).trim());
+      }
+      skipSpaces();
+    } while (current() === ',' && ++pos);
+
+    if (current() !== ']' || (items.length < 2 && !hasQuotes)) {
+      pos = start;
+      return null;
+    }
+
+    pos++;
+    if (!isEnd() && !includes(stops, current())) {
+      pos = start;
+      return null;
+    }
+
+    return items;
+  };
+
+  const readParam = (stops: string[]): any => {
+    const quoted = isQuote(current()) ? readQuoted(stops) : null;
+    if (quoted !== null) {
+      return quoted;
+    }
+
+    const list = current() === '[' ? readList(stops) : null;
+
+    return list || readRaw(stops);
+  };
+
+  const readParams = (stops: string[]): any[] => {
+    const params = [readParam([','].concat(stops))];
+    while (current() === ',') {
+      pos++;
+      params.push(readParam([','].concat(stops)));
+    }
+
+    // a single list is the params list itself, like in the object form.
+    return params.length === 1 && Array.isArray(params[0]) ? params[0] : params;
+  };
+
+  const readRule = (stops: string[], isBranch: boolean) => {
+    const warning = current() === '~';
+    if (warning) pos++;
+
+    let name = '';
+    const nameStops = [':'].concat(stops, isBranch ? [','] : []);
+    while (!isEnd() && !includes(nameStops, current())) {
+      name += expression[pos++];
+    }
+
+    // commas only separate params, so they cannot follow the name of a combined rule.
+    if (isBranch && current() === ',') {
+      fail(`Unexpected "," after the "${name.trim()}" rule, the combined expressions are separated by "|"`);
+    }
+
+    if (current() !== ':') {
+      return { name, params: [], warning };
+    }
+
+    pos++;
+    const params = isCombinator(name) ? readBranches(stops, isBranch) : readParams(stops);
+
+    return { name, params, warning };
+  };
+
+  // each combined expression is a single rule, which can be another combinator.
+  const readBranches = (stops: string[], isBranch: boolean): any[] => {
+    if (current() !== '[') {
+      return [[readRule(stops, isBranch)]];
+    }
 
-  if (includes(rule, ':')) {
-    params = rule.split(':').slice(1).join(':').split(',');
+    const start = pos++;
+    const branches = [];
+    do {
+      skipSpaces();
+      const rule = readRule(['|', ']'], true);
+      if (rule.name) {
+        branches.push([rule]);
+      }
+    } while (current() === '|' && ++pos);
+
+    if (current() !== ']') {
+      fail('Unclosed bracket', start);
+    }
+
+    pos++;
+    expectEnd(stops);
+
+    return branches;
+  };
+
+  const rules = [];
+  while (!isEnd()) {
+    const rule = readRule(['|'], false);
+    if (rule.name) {
+      rules.push(rule);
+    }
+
+    expectEnd(['|']);
+    pos++;
   }
 
+  return rules;
+};
+
+/**
+ * Converts the parsed rules to the normalized rules object.
+ */
+const toRulesObject = (rules: Array<{ name: string, params: any[] }>): { [string]: any[] } => {
+  return rules.reduce((prev, { name, params }) => {
+    prev[name] = isCombinator(name) ? params.map(toRulesObject) : params;
+
+    return prev;
+  }, {});
+};
+
+/**
+ * Parses a rule string expression.
+ */
+export const parseRule = (rule: string): Object => {
+  const { name, params } = parseRules(rule)[0] || { name: '', params: [] };
+
   return { name, params };
 };
 
@@ -248,9 +494,10 @@ export const normalizeRules = (rules: string | { [string]: boolean | any[] }) =>
         params = [rules[curr]];
       }
 
+      const name = curr.replace(/^~/, '');
       // $FlowFixMe
       if (rules[curr] !== false) {
-        prev[curr] = params;
+        prev[name] = isCombinator(name) ? params.map(normalizeRules) : params;
       }
 
       return prev;
@@ -262,15 +509,27 @@ export const normalizeRules = (rules: string | { [string]: boolean | any[] }) =>
     return {};
   }
 
-  return rules.split('|').reduce((prev, rule) => {
-    const parsedRule = parseRule(rule);
-    if (!parsedRule.name) {
-      return prev;
-    }
+  return toRulesObject(parseRules(rules));
+};
 
-    prev[parsedRule.name] = parsedRule.params;
-    return prev;
-  }, {});
+/**
+ * Resolves the names of the rules marked as warnings with the '~' prefix, like '~min:8'.
+ */
+export const resolveWarningRules = (rules: string | { [string]: boolean | any[] }): string[] => {
+  if (!rules) {
+    return [];
+  }
+
+  if (isObject(rules)) {
+    // $FlowFixMe
+    return Object.keys(rules).filter(rule => rule[0] === '~' && rules[rule] !== false).map(rule => rule.slice(1));
+  }
+
+  if (typeof rules !== 'string') {
+    return [];
+  }
+
+  return parseRules(rules).filter(rule => rule.warning).map(rule => rule.name);
 };
 
 /**
@@ -602,7 +861,8 @@ export const parseSelector = (selector) => {
 
   let scope = null;
   let name = selector;
-  if (includes(selector, '.')) {
+  // scopes cannot contain brackets, so array paths are always treated as names.
+  if (includes(selector, '.') && !isArrayPath(selector)) {
     const parts = selector.split('.');
     scope = parts[0];
     name = parts.slice(1).join('.');
@@ -619,3 +879,76 @@ export const parseSelector = (selector) => {
 export const includes = (collection: String | any[], item: any) => {
   return collection.indexOf(item) !== -1;
 };
+
+/**
+ * Computes the number of single character edits needed to turn a string into another.
+ */
+const distance = (lhs: string, rhs: string): number => {
+  let previous = [];
+  for (let j = 0; j <= rhs.length; j++) {
+    previous.push(j);
+  }
+
+  for (let i = 1; i <= lhs.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= rhs.length; j++) {
+      const cost = lhs[i - 1] === rhs[j - 1] ? 0 : 1;
+      row.push(Math.min(previous[j] + 1, row[j - 1] + 1, previous[j - 1] + cost));
+    }
+
+    previous = row;
+  }
+
+  return previous[rhs.length];
+};
+
+/**
+ * Finds the candidate closest to the word, if it is close enough to be a misspelling of it.
+ */
+export const findClosest = (word: string, candidates: string[]): ?string => {
+  const threshold = Math.max(2, Math.floor(word.length / 3));
+  let closest = null;
+  let closestDiff = threshold + 1;
+  candidates.forEach(candidate => {
+    const diff = distance(word.toLowerCase(), candidate.toLowerCase());
+    if (diff < closestDiff) {
+      closest = candidate;
+      closestDiff = diff;
+    }
+  });
+
+  return closest;
+};
+
+/**
+ * Expands a path pattern against the data, wildcard segments are replaced with the index of every array item.
+ * Array indexes are formatted with brackets, so the expanded paths look like 'items[0].qty'.
+ */
+export const expandPath = (pattern: string, data: ?Object): string[] => {
+  const expand = (segments: string[], value: any, path: string): string[] => {
+    if (!segments.length) {
+      return [path];
+    }
+
+    const [segment, ...rest] = segments;
+    const isArray = Array.isArray(value);
+    const makePath = key => isArray ? `${path}[${key}]` : (path ? `${path}.${key}` : String(key));
+    if (segment !== '*') {
+      const child = value !== null && typeof value === 'object' ? value[segment] : undefined;
+
+      return expand(rest, child, makePath(segment));
+    }
+
+    if (isArray) {
+      return value.reduce((paths, item, idx) => paths.concat(expand(rest, item, makePath(idx))), []);
+    }
+
+    if (isObject(value)) {
+      return Object.keys(value).reduce((paths, key) => paths.concat(expand(rest, value[key], makePath(key))), []);
+    }
+
+    return [];
+  };
+
+  return expand(toPathSegments(pattern), data, '');
+};
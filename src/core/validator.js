@@ -1,12 +1,30 @@
 import ErrorBag from './errorBag';
-import { isObject, isCallable, toArray, createError, assign, find, isNullOrUndefined, includes } from './utils';
+import {
+  isEqual,
+  isObject,
+  isCallable,
+  toArray,
+  createError,
+  assign,
+  find,
+  isNullOrUndefined,
+  includes,
+  warn,
+  getPath,
+  expandPath,
+  isArrayPath,
+  isCombinator,
+  findClosest
+} from './utils';
 import FieldBag from './fieldBag';
 import Field from './field';
 import Config from '../config';
+import { announce } from './liveRegion';
 
 // @flow
 
 const RULES: { [string]: Rule } = {};
+const HOOKS = ['beforeValidate', 'validated', 'fieldAttached', 'fieldDetached', 'errorsChanged'];
 let STRICT_MODE: boolean = true;
 
 export default class Validator {
@@ -15,16 +33,24 @@ export default class Validator {
   fields: FieldBag;
   flags: MapObject;
   fastExit: boolean;
+  sequential: boolean;
   paused: boolean;
-  reset: (matcher) => Promise<void>;
+  _rowStates: ?MapObject;
+  _runs: { [string]: ValidationToken };
+  _hooks: { [string]: Function[] };
+  reset: (matcher, options?: { values?: boolean }) => Promise<void>;
 
   constructor (validations?: MapObject, options?: MapObject = { fastExit: true }) {
     this.strict = STRICT_MODE;
     this.errors = new ErrorBag();
     this.fields = new FieldBag();
+    this._runs = {};
+    this._hooks = {};
     this._createFields(validations);
     this.paused = false;
+    this._rowStates = null;
     this.fastExit = !isNullOrUndefined(options && options.fastExit) ? options.fastExit : true;
+    this.sequential = !!(options && options.sequential);
   }
 
   static get rules () {
@@ -109,7 +135,7 @@ export default class Validator {
     Validator._guardExtend(name, validator);
     Validator._merge(name, {
       validator,
-      options: assign({}, { hasTarget: false, immediate: true }, options || {})
+      options: assign({}, { hasTarget: false, immediate: true, priority: 0 }, options || {})
     });
   }
 
@@ -127,6 +153,38 @@ export default class Validator {
     return !!RULES[name] && RULES[name].options.hasTarget;
   }
 
+  /**
+   * Checks if the given rule name is a rule that only produces warnings.
+   */
+  static isWarningRule (name: string): boolean {
+    return !!RULES[name] && RULES[name].options.severity === 'warning';
+  }
+
+  /**
+   * Checks the rule names of normalized rules against the registered rules, including the combined ones.
+   * Unknown rules are reported with the closest rule name, throwing if the strictRules option is enabled.
+   */
+  static checkRules (rules: { [string]: any[] }): void {
+    Object.keys(rules || {}).forEach(name => {
+      if (isCombinator(name)) {
+        rules[name].forEach(Validator.checkRules);
+        return;
+      }
+
+      if (RULES[name]) return;
+
+      const closest = findClosest(name, Object.keys(RULES));
+      const message = `No such validator '${name}' exists.${closest ? ` Did you mean '${closest}'?` : ''}`;
+      if (Config.current.strictRules) {
+        throw createError(message);
+      }
+
+      if (process.env.NODE_ENV !== 'production') {
+        warn(message);
+      }
+    });
+  }
+
   /**
    * Sets the operating mode for all newly created validators.
    * strictMode = true: Values without a rule are invalid and cause failure.
@@ -136,6 +194,32 @@ export default class Validator {
     STRICT_MODE = strictMode;
   }
 
+  /**
+   * Registers a handler for a validation lifecycle hook, returns a function that removes it.
+   */
+  on (hook: string, handler: Function): () => void {
+    if (!includes(HOOKS, hook)) {
+      throw createError(`No hook named "${hook}" exists, the available hooks are: ${HOOKS.join(', ')}.`);
+    }
+
+    if (!isCallable(handler)) {
+      throw createError(`The "${hook}" hook handler must be a function.`);
+    }
+
+    this._hooks[hook] = (this._hooks[hook] || []).concat([handler]);
+
+    return () => this.off(hook, handler);
+  }
+
+  /**
+   * Removes a hook handler, or all the handlers of the hook if none is provided.
+   */
+  off (hook: string, handler?: Function): void {
+    if (!this._hooks[hook]) return;
+
+    this._hooks[hook] = handler ? this._hooks[hook].filter(h => h !== handler) : [];
+  }
+
   /**
    * Adds and sets the current locale for the validator.
    */
@@ -175,12 +259,17 @@ export default class Validator {
     const value = fieldOpts.initialValue;
     const field = new Field(fieldOpts);
     this.fields.push(field);
+    // link the fields that were waiting for this one to be attached.
+    this._updateDependents(field);
+    this._emit('fieldAttached', field);
 
     // validate the field initially
     if (field.immediate) {
       this.validate(`#${field.id}`, value || field.value);
     } else {
       this._validate(field, value || field.value, { initial: true }).then(result => {
+        if (result.token.cancelled) return;
+
         field.flags.valid = result.valid;
         field.flags.invalid = !result.valid;
       });
@@ -209,8 +298,11 @@ export default class Validator {
     if (!field) return;
 
     field.destroy();
+    this._cancelRun(field);
     this.errors.remove(field.name, field.scope, field.id);
     this.fields.remove(field);
+    this._updateDependents(field);
+    this._emit('fieldDetached', field);
   }
 
   /**
@@ -220,27 +312,46 @@ export default class Validator {
     Validator.extend(name, validator, options);
   }
 
-  reset (matcher) {
+  reset (matcher, { values } = {}) {
+    // the values are restored first, so the validations triggered by their change are cancelled below.
+    if (values) {
+      this.fields.filter(matcher).forEach(field => field.restore());
+    }
+
     // two ticks
     return this._vm.$nextTick().then(() => {
       return this._vm.$nextTick();
     }).then(() => {
       this.fields.filter(matcher).forEach(field => {
-        field.reset(); // reset field flags.
+        this._cancelRun(field);
         this.errors.remove(field.name, field.scope, field.id);
+        field.reset(); // reset field flags.
       });
     });
   }
 
+  /**
+   * Sets the current values of the matching fields as their initial values, like after they were saved.
+   */
+  commit (matcher) {
+    this.fields.filter(matcher).forEach(field => field.commit());
+  }
+
   /**
    * Updates a field, updating both errors and flags.
    */
-  update (id: string, { scope }) {
+  update (id: string, { scope, name, key }) {
     const field = this._resolveField(`#${id}`);
     if (!field) return;
 
-    // remove old scope.
-    this.errors.update(id, { scope });
+    if (key !== undefined && key !== field.key) {
+      this._moveRowState(field, key);
+    }
+
+    // move the errors to the new scope or name.
+    if (scope !== undefined || name !== undefined) {
+      this.errors.update(id, { scope, field: name });
+    }
   }
 
   /**
@@ -277,17 +388,31 @@ export default class Validator {
       return this._handleFieldNotFound(name);
     }
 
+    const wasPending = field.flags.pending;
     if (!silent) field.flags.pending = true;
     if (value === undefined) {
       value = field.value;
     }
 
-    return this._validate(field, value).then(result => {
-      if (!silent) {
-        this._handleValidationResults([result]);
+    return this._validate(field, value, { silent }).then(result => {
+      if (silent) {
+        return result.valid;
+      }
+
+      if (result.vetoed) {
+        field.flags.pending = wasPending;
+      }
+
+      // a newer run was started in the meantime, so its result is the one that counts.
+      if (result.token.cancelled) {
+        return this._settle(result).then(r => r.valid);
       }
 
-      return result.valid;
+      this._handleValidationResults([result]);
+      // the untouched dependents are not validated, but they still show whether they are required.
+      this._resolveDependents(field).forEach(dependent => this._refreshRequiredState(dependent));
+
+      return this._validateDependents(field).then(() => result.valid);
     });
   }
 
@@ -312,7 +437,7 @@ export default class Validator {
   /**
    * Validates each value against the corresponding field validations.
    */
-  validateAll (values?: string | MapObject, { silent, vmId } = {}): Promise<boolean> {
+  validateAll (values?: string | MapObject, { silent, vmId, focus, scroll } = {}): Promise<boolean> {
     if (this.paused) return Promise.resolve(true);
 
     let matcher = null;
@@ -326,38 +451,152 @@ export default class Validator {
       });
       providedValues = true;
     } else if (Array.isArray(values)) {
+      // the '#id' selectors match the fields of any component.
       matcher = values.map(key => {
-        return { name: key, vmId: vmId };
+        return key[0] === '#' ? { id: key.slice(1) } : { name: key, vmId: vmId };
       });
     } else {
       matcher = { scope: null, vmId: vmId };
     }
 
+    const fields = this.fields.filter(matcher);
+
     return Promise.all(
-      this.fields.filter(matcher).map(field => this._validate(field, providedValues ? values[field.name] : field.value))
+      fields.map(field => this._validate(field, providedValues ? values[field.name] : field.value, { silent }))
     ).then(results => {
       if (!silent) {
         this._handleValidationResults(results);
       }
 
-      return results.every(t => t.valid);
+      return Promise.all(results.map(result => this._settle(result)));
+    }).then(results => {
+      const valid = results.every(t => t.valid);
+      if (!valid && !silent && (focus || scroll)) {
+        this._focusFirstInvalid(fields, { focus, scroll });
+      }
+
+      return valid;
     });
   }
 
   /**
    * Validates all scopes.
    */
-  validateScopes ({ silent, vmId } = {}): Promise<boolean> {
+  validateScopes ({ silent, vmId, focus, scroll } = {}): Promise<boolean> {
     if (this.paused) return Promise.resolve(true);
 
+    const fields = this.fields.filter({ vmId });
+
     return Promise.all(
-      this.fields.filter({ vmId }).map(field => this._validate(field, field.value))
+      fields.map(field => this._validate(field, field.value, { silent }))
     ).then(results => {
       if (!silent) {
         this._handleValidationResults(results);
       }
 
-      return results.every(t => t.valid);
+      return Promise.all(results.map(result => this._settle(result)));
+    }).then(results => {
+      const valid = results.every(t => t.valid);
+      if (!valid && !silent && (focus || scroll)) {
+        this._focusFirstInvalid(fields, { focus, scroll });
+      }
+
+      return valid;
+    });
+  }
+
+  /**
+   * Focuses the first invalid field in the document order, only the fields of the scope are considered if one is provided.
+   * The scroll option scrolls the element into view as well, it can be the scrollIntoView options.
+   */
+  focusFirstError (scope?: ?string, { vmId, scroll }: MapObject = {}): ?Field {
+    const matcher = !isNullOrUndefined(scope) ? { scope, vmId } : { vmId };
+
+    return this._focusFirstInvalid(this.fields.filter(matcher), { focus: true, scroll });
+  }
+
+  /**
+   * Validates a value against the rules without attaching a field, no errors or flags are touched.
+   * The values of the fields targeted by the rules can be provided in the values option.
+   */
+  static verify (value: any, rules: string | MapObject, { name = '{field}', values = {}, bails }: MapObject = {}): Promise<VerifyResult> {
+    const validator = new Validator(null, { fastExit: !isNullOrUndefined(bails) ? bails : true });
+    const data = assign({}, values, { [name]: value });
+
+    return validator.validateObject(data, { [name]: rules }).then(result => ({
+      valid: result.valid,
+      errors: result.errors[name],
+      failedRules: result.failedRules[name],
+      warnings: result.warnings[name]
+    }));
+  }
+
+  /**
+   * Validates the values of a plain object against a schema of rules keyed by their paths.
+   * Paths can point into nested objects and arrays like 'address.city' or 'items[0].qty', and
+   * wildcards like 'items[*].qty' apply the rules to every item. The results are keyed by the full paths.
+   * Fields are created on a throwaway validator, so the errors and flags of this one are not touched.
+   */
+  validateObject (data: MapObject, schema: MapObject, { bails }: MapObject = {}): Promise<ObjectValidationResult> {
+    const validator = new Validator(null, { fastExit: !isNullOrUndefined(bails) ? bails : this.fastExit });
+    const missing = {};
+    // keys containing dots or brackets are looked up as they are before being treated as paths.
+    const resolveValue = (path: string, def?: any) => {
+      return isObject(data) && path in data ? data[path] : getPath(path, data, def);
+    };
+    const makeField = (name: string, rules: any = {}, alias?: ?string) => {
+      const field = new Field({ name, rules, alias, headless: true, getter: () => resolveValue(name) });
+      validator.fields.push(field);
+
+      return field;
+    };
+
+    let fields = [];
+    // malformed or, under strictRules, unknown rules reject the validation instead of throwing.
+    try {
+      fields = Object.keys(schema).reduce((acc, pattern) => {
+        // the wildcard paths display name can be localized with the pattern itself.
+        const alias = includes(pattern, '*') ? this.dictionary.getAttribute(this.locale, pattern, null) : null;
+        const paths = !includes(pattern, '*') && isObject(data) && pattern in data ? [pattern] : expandPath(pattern, data);
+        paths.forEach(path => {
+          if (!validator.fields.find({ name: path })) {
+            acc.push(makeField(path, schema[pattern], alias));
+          }
+        });
+
+        return acc;
+      }, []);
+
+      // the existing target paths without rules are created as well so they can be targeted.
+      fields.forEach(field => {
+        Object.keys(field.rules).filter(Validator.isTargetRule).forEach(rule => {
+          const path = String(field.rules[rule][0]);
+          if (!validator.fields.find({ name: path }) && resolveValue(path, missing) !== missing) {
+            makeField(path);
+          }
+        });
+      });
+
+      if (Config.current.strictRules) {
+        fields.forEach(field => Validator.checkRules(field.rules));
+      }
+    } catch (err) {
+      return Promise.reject(err);
+    }
+
+    return Promise.all(fields.map(field => validator._validate(field, field.value))).then(results => {
+      return results.reduce((acc, result) => {
+        acc.valid = acc.valid && result.valid;
+        acc.errors[result.field] = result.errors.map(e => e.msg);
+        acc.failedRules[result.field] = result.errors.reduce((rules, e) => {
+          rules[e.rule] = e.msg;
+
+          return rules;
+        }, {});
+        acc.warnings[result.field] = result.warnings.map(e => e.msg);
+
+        return acc;
+      }, { valid: true, errors: {}, failedRules: {}, warnings: {} });
     });
   }
 
@@ -424,7 +663,11 @@ export default class Validator {
   /**
    * Tests a single input value against a rule.
    */
-  _test (field: Field, value: any, rule: MapObject): ValidationResult | Promise<ValidationResult> {
+  _test (field: Field, value: any, rule: MapObject, token?: ValidationToken): ValidationResult | Promise<ValidationResult> {
+    if (isCombinator(rule.name)) {
+      return this._testCombinator(field, value, rule, token);
+    }
+
     const validator = RULES[rule.name] ? RULES[rule.name].validate : null;
     let params = Array.isArray(rule.params) ? toArray(rule.params) : [];
     let targetName = null;
@@ -434,10 +677,14 @@ export default class Validator {
 
     // has field dependencies.
     if (rule.options.hasTarget) {
-      const target = find(field.dependencies, d => d.name === rule.name);
+      const target = this._resolveTarget(field, params[0]);
+      const dependency = find(field.dependencies, d => d.name === rule.name);
       if (target) {
-        targetName = target.field.alias;
-        params = [target.field.value].concat(params.slice(1));
+        targetName = this._getFieldDisplayName(target);
+        params = [target.normalizedValue].concat(params.slice(1));
+      } else if (dependency) {
+        targetName = dependency.field.alias;
+        params = [dependency.field.normalizedValue].concat(params.slice(1));
       }
     } else if (rule.name === 'required' && field.rejectsFalse) {
       // invalidate false if no args were specified and the field rejects false by default.
@@ -451,7 +698,8 @@ export default class Validator {
       }
     }
 
-    let result = validator(value, params);
+    // async rules can check the token to stop the work once the run is superseded.
+    let result = validator(value, params, token);
 
     // If it is a promise.
     if (isCallable(result.then)) {
@@ -467,6 +715,7 @@ export default class Validator {
 
         return {
           valid: allValid,
+          data,
           errors: allValid ? [] : [this._createFieldError(field, rule, data, targetName)]
         };
       });
@@ -478,10 +727,55 @@ export default class Validator {
 
     return {
       valid: result.valid,
+      data: result.data,
       errors: result.valid ? [] : [this._createFieldError(field, rule, result.data, targetName)]
     };
   }
 
+  /**
+   * Tests the value against the rules expressions combined by the 'or', 'all' and 'not' rules.
+   * The rule of the reported error names the branch rule that decided the result, like 'or.email'.
+   */
+  _testCombinator (field: Field, value: any, rule: MapObject, token?: ValidationToken): Promise<ValidationResult> {
+    const prefix = error => assign({}, error, { rule: `${rule.name}.${error.rule}` });
+
+    return Promise.all(rule.params.map(rules => this._testBranch(field, value, rules, token))).then(results => {
+      const failed = results.filter(r => !r.valid);
+      if (rule.name === 'all') {
+        return { valid: !failed.length, data: {}, errors: failed.length ? failed[0].errors.map(prefix) : [] };
+      }
+
+      if (rule.name === 'or') {
+        const valid = !results.length || failed.length < results.length;
+        const data = { messages: failed.map(r => r.errors[0].msg) };
+        const errors = valid ? [] : [prefix(assign(this._createFieldError(field, rule, data), { rule: failed[0].errors[0].rule }))];
+
+        return { valid, data, errors };
+      }
+
+      // the 'not' rule fails when every combined expression passes.
+      const valid = !results.length || !!failed.length;
+      const firstRule = Object.keys(rule.params[0] || {})[0];
+
+      return { valid, data: {}, errors: valid ? [] : [assign(this._createFieldError(field, rule, {}), { rule: `not.${firstRule}` })] };
+    });
+  }
+
+  /**
+   * Tests the value against a combined rules expression, stopping at the first failing rule.
+   */
+  _testBranch (field: Field, value: any, rules: MapObject, token?: ValidationToken): Promise<MapObject> {
+    return Object.keys(rules).reduce((promise, name) => promise.then(result => {
+      if (!result.valid) {
+        return result;
+      }
+
+      const options = RULES[name] ? RULES[name].options : {};
+
+      return Promise.resolve(this._test(field, value, { name, params: rules[name], options }, token));
+    }), Promise.resolve({ valid: true, errors: [] }));
+  }
+
   /**
    * Merges a validator object into the RULES and Messages.
    */
@@ -541,7 +835,7 @@ export default class Validator {
       return this.fields.find({ name, scope, vmId: uid });
     }
 
-    if (includes(name, '.')) {
+    if (includes(name, '.') && !isArrayPath(name)) {
       const [fieldScope, ...fieldName] = name.split('.');
       const field = this.fields.find({ name: fieldName.join('.'), scope: fieldScope, vmId: uid });
       if (field) {
@@ -552,6 +846,173 @@ export default class Validator {
     return this.fields.find({ name, scope: null, vmId: uid });
   }
 
+  /**
+   * Resolves the registered field targeted by a target rule selector, matching by vid, by name within
+   * the same scope or by a 'scope.name' selector.
+   */
+  _resolveTarget (field: Field, selector: ?string): ?Field {
+    if (isNullOrUndefined(selector) || selector === '') {
+      return null;
+    }
+
+    selector = String(selector);
+    const candidates = this.fields.items.filter(f => f !== field);
+    const byVid = find(candidates, f => f.vid === selector);
+    if (byVid) {
+      return byVid;
+    }
+
+    // names are only matched within the same component, targets in other components need a vid.
+    const owned = candidates.filter(f => f.vmId === field.vmId);
+    const byName = find(owned, f => f.name === selector && f.scope === field.scope);
+    if (byName) {
+      return byName;
+    }
+
+    if (!includes(selector, '.')) {
+      return null;
+    }
+
+    const [scope, ...name] = selector.split('.');
+
+    return find(owned, f => f.scope === scope && f.name === name.join('.')) || null;
+  }
+
+  /**
+   * Resolves the fields that have target rules pointing at the given field.
+   */
+  _resolveDependents (target: Field): Field[] {
+    return this.fields.items.filter(field => {
+      if (field === target) return false;
+
+      return Object.keys(field.rules).some(rule => {
+        return Validator.isTargetRule(rule) && this._resolveTarget(field, field.rules[rule][0]) === target;
+      });
+    });
+  }
+
+  /**
+   * Updates the target links of the fields that point at the given field or are linked to it.
+   */
+  _updateDependents (target: Field) {
+    const dependents = this._resolveDependents(target);
+    this.fields.items.forEach(field => {
+      if (includes(dependents, field) || field.dependencies.some(d => d.target === target)) {
+        field.updateDependencies();
+        this._refreshRequiredState(field);
+      }
+    });
+  }
+
+  /**
+   * Recomputes the required state of a field with conditional required rules, even if it was not validated yet.
+   */
+  _refreshRequiredState (field: Field) {
+    const computesRequired = Object.keys(field.rules).some(rule => RULES[rule] && RULES[rule].options.computesRequired);
+    if (!computesRequired || !isCallable(field.getter)) return;
+
+    this._updateRequiredState(field, field.normalizedValue);
+  }
+
+  /**
+   * Re-validates the already validated fields that have target rules pointing at the given field.
+   * Fields without a getter are skipped since their current value cannot be read.
+   */
+  _validateDependents (target: Field): Promise<void> {
+    const dependents = this._resolveDependents(target).filter(field => {
+      return field.flags.validated && isCallable(field.getter);
+    });
+    if (!dependents.length) {
+      return Promise.resolve();
+    }
+
+    dependents.forEach(field => {
+      field.flags.pending = true;
+    });
+
+    return Promise.all(
+      dependents.map(field => this._validate(field, field.value))
+    ).then(results => {
+      this._handleValidationResults(results);
+    });
+  }
+
+  /**
+   * Adds the validation errors of a server response, replacing the previous server errors.
+   * The errors are matched to the fields by their names and kept until the values of their fields change.
+   */
+  setServerErrors (response: any, { adapter, scope, vmId }: MapObject = {}) {
+    const isOwned = e => e.server && (isNullOrUndefined(vmId) || e.vmId === vmId);
+    const previous = this.errors.items.filter(isOwned);
+    this.errors.items.filter(isOwned).forEach(e => {
+      this.errors.items.splice(this.errors.items.indexOf(e), 1);
+    });
+
+    const errors = ErrorBag.fromResponse(response, adapter).items.map(error => {
+      const field = this._resolveField(error.field, isNullOrUndefined(scope) ? undefined : scope, vmId);
+      if (!field) {
+        return assign(error, { scope: !isNullOrUndefined(scope) ? scope : null, vmId: !isNullOrUndefined(vmId) ? vmId : null });
+      }
+
+      // the value is used to detect when the error is no longer relevant.
+      return assign(error, { id: field.id, vmId: field.vmId, field: field.name, scope: field.scope, value: field.normalizedValue });
+    });
+    this.errors.add(errors);
+
+    this.fields.filter(errors.filter(e => e.id).map(e => ({ id: e.id }))).forEach(field => {
+      field.setFlags({ valid: false });
+    });
+
+    // the fields that no longer have server errors get their own validity back.
+    this.fields.filter(previous.filter(e => e.id && !find(errors, n => n.id === e.id)).map(e => ({ id: e.id }))).forEach(field => {
+      this._validate(field, field.value, { silent: true }).then(result => {
+        field.setFlags({ valid: result.valid && !this.errors.items.some(e => e.server && e.id === field.id) });
+      });
+    });
+  }
+
+  /**
+   * Gives the field the state of the field array row identified by the key, used when an element is re-used for another row.
+   * The states of all keyed fields are captured before the first move, since the fields of the rows are updated one by one.
+   */
+  _moveRowState (field: Field, key: ?string) {
+    // the row index does not identify the column of the field since rows may be re-indexed.
+    const makeRowId = (f: Field, rowKey: ?string) => `${f.vmId || ''}|${String(f.name).replace(/\[\d+\]/g, '[]')}|${String(rowKey)}`;
+    if (!this._rowStates) {
+      this._rowStates = this.fields.items.filter(f => !isNullOrUndefined(f.key)).reduce((states, f) => {
+        states[makeRowId(f, f.key)] = {
+          flags: assign({}, f.flags),
+          initialValue: f.initialValue,
+          errors: this.errors.items.filter(e => e.id === f.id).map(e => assign({}, e))
+        };
+
+        return states;
+      }, {});
+
+      // elements are re-used within a single patch, so the captured states are stale once it is done.
+      Promise.resolve().then(() => {
+        this._rowStates = null;
+      });
+    }
+
+    const state = this._rowStates[makeRowId(field, key)];
+    this.errors.removeById(field.id);
+    if (!state) {
+      field.initialValue = field.value;
+      field.reset();
+      return;
+    }
+
+    field.initialValue = state.initialValue;
+    field.setFlags(assign({}, state.flags, { pending: false }));
+    this.errors.add(state.errors.map(e => assign({}, e, { id: field.id, field: field.name, scope: field.scope, vmId: field.vmId })));
+
+    // the messages may mention the name of the field that had the row before.
+    if (state.flags.validated) {
+      this.validate(`#${field.id}`);
+    }
+  }
+
   /**
    * Handles when a field is not found depending on the strict flag.
    */
@@ -569,7 +1030,24 @@ export default class Validator {
    * Handles validation results.
    */
   _handleValidationResults (results) {
+    // the results of the superseded runs are stale.
+    results = results.filter(result => !result.token.cancelled);
     const matchers = results.map(result => ({ id: result.id }));
+    // server errors are kept until the value they were reported for changes.
+    const belongsTo = (error, result) => error.id ? error.id === result.id : error.field === result.field && error.scope === result.scope;
+    const serverErrors = this.errors.items.filter(e => {
+      const result = e.server && find(results, r => belongsTo(e, r));
+
+      return !!result && isEqual(e.value, result.value);
+    });
+    results.forEach(result => {
+      result.valid = result.valid && !serverErrors.some(e => belongsTo(e, result));
+    });
+
+    const messagesOf = result => this.errors.items.concat(this.errors.warnings.items).filter(e => e.id === result.id).map(e => e.msg);
+    const previousMessages = results.map(messagesOf);
+    const previousErrors = this.errors.items.filter(e => find(results, r => r.id === e.id));
+
     this.errors.removeById(matchers.map(m => m.id));
     // remove by name and scope to remove any custom errors added.
     results.forEach(result => {
@@ -579,9 +1057,19 @@ export default class Validator {
       prev.push(...curr.errors);
 
       return prev;
-    }, []);
+    }, serverErrors);
 
     this.errors.add(allErrors);
+    this.errors.warnings.add(results.reduce((prev, curr) => {
+      prev.push(...curr.warnings);
+
+      return prev;
+    }, []));
+
+    // only the errors that were not reported before are announced, so the same messages are not repeated on every input.
+    if (Config.current.liveRegion) {
+      announce(allErrors.filter(e => !previousErrors.some(p => p.id === e.id && p.msg === e.msg)).map(e => e.msg));
+    }
 
     // handle flags.
     this.fields.filter(matchers).forEach(field => {
@@ -591,7 +1079,52 @@ export default class Validator {
         valid: result.valid,
         validated: true
       });
+
+      // the interaction mode may listen to different events depending on the validation result.
+      if (field.mode) {
+        field.addValueListeners();
+      }
+    });
+
+    results.forEach((result, idx) => {
+      const field = this._resolveField(`#${result.id}`);
+      if (!field) return;
+
+      this._emit('validated', field, { valid: result.valid, value: result.value, errors: result.errors, warnings: result.warnings });
+      if (!isEqual(previousMessages[idx], messagesOf(result))) {
+        this._emit('errorsChanged', field, {
+          errors: this.errors.items.filter(e => e.id === field.id),
+          warnings: this.errors.warnings.items.filter(e => e.id === field.id)
+        });
+      }
+    });
+  }
+
+  /**
+   * Evaluates the rules that compute the required state of the field, like the conditional required rules.
+   */
+  _updateRequiredState (field: Field, value: any) {
+    const wasRequired = field.isRequired;
+    field.forceRequired = Object.keys(field.rules).some(rule => {
+      if (!RULES[rule] || !RULES[rule].options.computesRequired) {
+        return false;
+      }
+
+      const result = this._test(field, value, { name: rule, params: field.rules[rule], options: RULES[rule].options });
+      if (isCallable(result.then)) {
+        if (process.env.NODE_ENV !== 'production') {
+          warn(`The '${rule}' rule computes the required state so it cannot be async.`);
+        }
+
+        return false;
+      }
+
+      return !!(result.data && result.data.required);
     });
+
+    if (wasRequired !== field.isRequired) {
+      field.setFlags({ required: field.isRequired });
+    }
   }
 
   _shouldSkip (field, value) {
@@ -609,6 +1142,13 @@ export default class Validator {
     return !field.isRequired && (isNullOrUndefined(value) || value === '');
   }
 
+  /**
+   * Checks if the rule only produces warnings for the field, either marked with '~' or extended as one.
+   */
+  _isWarning (field: Field, rule: string): boolean {
+    return includes(field.warningRules, rule) || Validator.isWarningRule(rule);
+  }
+
   _shouldBail (field, value) {
     // if the field was configured explicitly.
     if (field.bails !== undefined) {
@@ -618,26 +1158,165 @@ export default class Validator {
     return this.fastExit;
   }
 
+  _shouldRunSequentially (field: Field): boolean {
+    // if the field was configured explicitly.
+    if (field.sequential !== undefined) {
+      return field.sequential;
+    }
+
+    return this.sequential;
+  }
+
   /**
-   * Starts the validation process.
+   * Resolves the rules to run in order, the rules with a higher priority run first and the rest keep their declared order.
    */
-  _validate (field: Field, value: any, { initial } = {}): Promise<ValidationResult> {
+  _resolveRuleOrder (field: Field, initial?: boolean): string[] {
+    const priorityOf = rule => RULES[rule] && RULES[rule].options.priority ? Number(RULES[rule].options.priority) : 0;
+
+    return Object.keys(field.rules).filter(rule => {
+      if (!initial || !RULES[rule]) return true;
+
+      return RULES[rule].options.immediate;
+    }).map((rule, idx) => ({ rule, idx })).sort((a, b) => {
+      return (priorityOf(b.rule) - priorityOf(a.rule)) || (a.idx - b.idx);
+    }).map(({ rule }) => rule);
+  }
+
+  /**
+   * Starts a new validation run for the field, cancelling the run in progress.
+   */
+  _startRun (field: Field): ValidationToken {
+    const previous = this._runs[field.id];
+    if (previous) {
+      previous.cancelled = true;
+    }
+
+    const token = { id: previous ? previous.id + 1 : 1, cancelled: false };
+    this._runs[field.id] = token;
+
+    return token;
+  }
+
+  /**
+   * Cancels the run in progress for the field, so its results are dropped.
+   */
+  _cancelRun (field: Field) {
+    if (!this._runs[field.id]) return;
+
+    this._runs[field.id].cancelled = true;
+    delete this._runs[field.id];
+  }
+
+  /**
+   * Focuses and scrolls to the element of the first invalid field in the document order.
+   */
+  _focusFirstInvalid (fields: Field[], { focus, scroll }: MapObject): ?Field {
+    const candidates = fields.filter(field => field.flags.invalid).map(field => ({ field, el: field.focusTarget })).filter(c => c.el);
+    if (!candidates.length) return null;
+
+    const first = candidates.reduce((acc, candidate) => {
+      return acc.el.compareDocumentPosition(candidate.el) & Node.DOCUMENT_POSITION_PRECEDING ? candidate : acc;
+    });
+
+    if (scroll && isCallable(first.el.scrollIntoView)) {
+      first.el.scrollIntoView(isObject(scroll) ? scroll : undefined);
+    }
+
+    if (focus && isCallable(first.el.focus)) {
+      first.el.focus();
+    }
+
+    return first.field;
+  }
+
+  /**
+   * Calls the hook handlers with the field info and the hook details, returns what the handlers returned.
+   * The details object is shared by the handlers, so they can modify it.
+   */
+  _emit (hook: string, field: Field, details: MapObject = {}): any[] {
+    const handlers = this._hooks[hook] || [];
+    if (!handlers.length) return [];
+
+    const payload = assign(details, { id: field.id, vmId: field.vmId, name: field.name, scope: field.scope });
+
+    return handlers.map(handler => {
+      try {
+        return handler(payload);
+      } catch (err) {
+        if (process.env.NODE_ENV !== 'production') {
+          warn(`The "${hook}" hook handler threw an error: ${err && err.message}`);
+        }
+
+        return undefined;
+      }
+    });
+  }
+
+  /**
+   * Resolves the result of the latest run for the field of a result that may have been superseded.
+   */
+  _settle (result: ValidationResult): Promise<ValidationResult> {
+    const latest = this._runs[result.id];
+    if (!result.token || !result.token.cancelled || !latest || !latest.promise) {
+      return Promise.resolve(result);
+    }
+
+    return latest.promise.then(r => this._settle(r));
+  }
+
+  /**
+   * Starts the validation process, silent runs do not supersede the run in progress.
+   */
+  _validate (field: Field, value: any, { initial, silent } = {}): Promise<ValidationResult> {
+    // the hook handlers can replace the value or veto the run, which leaves the field state as it is.
+    const hook = { value, initial: !!initial, silent: !!silent };
+    if (this._emit('beforeValidate', field, hook).some(r => r === false)) {
+      return Promise.resolve({
+        valid: !field.flags.invalid,
+        id: field.id,
+        field: field.name,
+        scope: field.scope,
+        value: field.normalize(hook.value),
+        errors: [],
+        warnings: [],
+        vetoed: true,
+        token: { id: 0, cancelled: true }
+      });
+    }
+
+    const token = silent ? { id: 0, cancelled: false } : this._startRun(field);
+    // the rules, the skip checks and the results all work with the transformed value.
+    token.promise = this._runRules(field, field.normalize(hook.value), { initial, token }).then(result => assign(result, { token }));
+
+    return token.promise;
+  }
+
+  /**
+   * Tests the value against the field rules.
+   */
+  _runRules (field: Field, value: any, { initial, token }: MapObject): Promise<ValidationResult> {
+    this._updateRequiredState(field, value);
     if (this._shouldSkip(field, value)) {
-      return Promise.resolve({ valid: true, id: field.id, field: field.name, scope: field.scope, errors: [] });
+      return Promise.resolve({ valid: true, id: field.id, field: field.name, scope: field.scope, value, errors: [], warnings: [] });
+    }
+
+    const rules = this._resolveRuleOrder(field, initial);
+    if (this._shouldRunSequentially(field)) {
+      return this._runRulesSequentially(field, value, rules, token);
     }
 
     const promises = [];
     const errors = [];
+    // warnings never invalidate the field, so they do not bail either.
+    const warnings = [];
     let isExitEarly = false;
     // use of '.some()' is to break iteration in middle by returning true
-    Object.keys(field.rules).filter(rule => {
-      if (!initial || !RULES[rule]) return true;
-
-      return RULES[rule].options.immediate;
-    }).some(rule => {
+    rules.some(rule => {
       const ruleOptions = RULES[rule] ? RULES[rule].options : {};
-      const result = this._test(field, value, { name: rule, params: field.rules[rule], options: ruleOptions });
-      if (isCallable(result.then)) {
+      const result = this._test(field, value, { name: rule, params: field.rules[rule], options: ruleOptions }, token);
+      if (this._isWarning(field, rule)) {
+        warnings.push(Promise.resolve(result).then(r => r.errors.map(e => assign(e, { severity: 'warning' }))));
+      } else if (isCallable(result.then)) {
         promises.push(result);
       } else if (!result.valid && this._shouldBail(field, value)) {
         errors.push(...result.errors);
@@ -650,11 +1329,14 @@ export default class Validator {
       return isExitEarly;
     });
 
+    const warningsPromise = Promise.all(warnings).then(messages => messages.reduce((prev, curr) => prev.concat(curr), []));
     if (isExitEarly) {
-      return Promise.resolve({ valid: false, errors, id: field.id, field: field.name, scope: field.scope });
+      return warningsPromise.then(warnings => {
+        return { valid: false, errors, warnings, id: field.id, field: field.name, scope: field.scope, value };
+      });
     }
 
-    return Promise.all(promises).then(results => {
+    return Promise.all([Promise.all(promises), warningsPromise]).then(([results, warnings]) => {
       return results.reduce((prev, v) => {
         if (!v.valid) {
           prev.errors.push(...v.errors);
@@ -663,7 +1345,41 @@ export default class Validator {
         prev.valid = prev.valid && v.valid;
 
         return prev;
-      }, { valid: true, errors, id: field.id, field: field.name, scope: field.scope });
+      }, { valid: true, errors, warnings, id: field.id, field: field.name, scope: field.scope, value });
     });
   }
+
+  /**
+   * Tests the rules one after the other, waiting for each async rule before starting the next one.
+   * Stops at the first failure if the field bails, or once the run is superseded.
+   */
+  _runRulesSequentially (field: Field, value: any, rules: string[], token: ValidationToken): Promise<ValidationResult> {
+    const result = { valid: true, errors: [], warnings: [], id: field.id, field: field.name, scope: field.scope, value };
+    const bails = this._shouldBail(field, value);
+
+    return rules.reduce((promise, rule) => promise.then(isDone => {
+      if (isDone || token.cancelled) {
+        return true;
+      }
+
+      const ruleOptions = RULES[rule] ? RULES[rule].options : {};
+
+      return Promise.resolve(
+        this._test(field, value, { name: rule, params: field.rules[rule], options: ruleOptions }, token)
+      ).then(ruleResult => {
+        if (this._isWarning(field, rule)) {
+          result.warnings.push(...ruleResult.errors.map(e => assign(e, { severity: 'warning' })));
+
+          return false;
+        }
+
+        if (!ruleResult.valid) {
+          result.valid = false;
+          result.errors.push(...ruleResult.errors);
+        }
+
+        return !ruleResult.valid && bails;
+      });
+    }), Promise.resolve(false)).then(() => result);
+  }
 }
@@ -7,6 +7,8 @@ export default class ScopedValidator {
     this.id = vm._uid;
     this._base = base;
     this._paused = false;
+    this._hooks = [];
+    this.forms = [];
 
     // create a mirror bag with limited component scope.
     this.errors = new ErrorBag(base.errors, this.id);
@@ -56,12 +58,40 @@ export default class ScopedValidator {
     return this._base.update(...args);
   }
 
+  _resolveTarget (...args) {
+    return this._base._resolveTarget(...args);
+  }
+
   attach (opts) {
     const attachOpts = assign({}, opts, { vmId: this.id });
 
     return this._base.attach(attachOpts);
   }
 
+  /**
+   * Registers a hook handler that is only called for the fields of the component.
+   */
+  on (hook, handler) {
+    const off = this._base.on(hook, payload => payload.vmId === this.id ? handler(payload) : undefined);
+    this._hooks.push({ hook, handler, off });
+
+    return () => this.off(hook, handler);
+  }
+
+  /**
+   * Removes the hook handlers of the component, all of them if no hook is provided.
+   */
+  off (hook, handler) {
+    this._hooks = this._hooks.filter(h => {
+      if ((hook && h.hook !== hook) || (handler && h.handler !== handler)) {
+        return true;
+      }
+
+      h.off();
+      return false;
+    });
+  }
+
   pause () {
     this._paused = true;
   }
@@ -100,13 +130,31 @@ export default class ScopedValidator {
     return this._base.validateScopes(assign({}, { vmId: this.id }, opts || {}));
   }
 
+  focusFirstError (scope, opts = {}) {
+    return this._base.focusFirstError(scope, assign({}, { vmId: this.id }, opts || {}));
+  }
+
+  setServerErrors (response, opts = {}) {
+    return this._base.setServerErrors(response, assign({}, { vmId: this.id }, opts || {}));
+  }
+
+  validateObject (...args) {
+    return this._base.validateObject(...args);
+  }
+
   destroy () {
+    this._hooks.forEach(h => h.off());
+    this._hooks = [];
     delete this.id;
     delete this._base;
   }
 
-  reset (matcher) {
-    return this._base.reset(Object.assign({}, matcher || {}, { vmId: this.id }));
+  reset (matcher, ...args) {
+    return this._base.reset(Object.assign({}, matcher || {}, { vmId: this.id }), ...args);
+  }
+
+  commit (matcher) {
+    return this._base.commit(Object.assign({}, matcher || {}, { vmId: this.id }));
   }
 
   flag (...args) {
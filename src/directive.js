@@ -1,6 +1,6 @@
 import Resolver from './core/resolver';
 import Field from './core/field';
-import { isEqual, warn } from './core/utils';
+import { isEqual, isNullOrUndefined, warn } from './core/utils';
 
 // @flow
 
@@ -44,9 +44,17 @@ export default {
   },
   update (el: HTMLElement, binding, vnode) {
     const field = findField(el, vnode.context);
+    if (!field) return;
+
+    // the element may have been re-used for another row of a field array, or the row may have been re-indexed.
+    const key = Resolver.resolveKey(el, vnode);
+    const name = Resolver.resolveName(el, vnode);
+    if (key !== field.key || (!isNullOrUndefined(name) && name !== field.name)) {
+      field.update({ key, name });
+    }
 
     // make sure we don't do unneccasary work if no important change was done.
-    if (!field || (field.updated && isEqual(binding.value, binding.oldValue))) return;
+    if (field.updated && isEqual(binding.value, binding.oldValue)) return;
     const scope = Resolver.resolveScope(el, binding, vnode);
     const rules = Resolver.resolveRules(el, binding, vnode);
 
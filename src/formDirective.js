@@ -0,0 +1,141 @@
+import Config from './config';
+import { getDataAttribute, getForm, isCallable, isObject, warn } from './core/utils';
+
+// @flow
+
+/**
+ * Creates the submission flags of a form.
+ */
+const createFormFlags = (): MapObject => ({
+  submitting: false,
+  submitCount: 0,
+  submitFailed: false
+});
+
+/**
+ * Resolves the submit handler from the directive value, which is either a function or a { handler } object.
+ */
+const resolveHandler = (binding): ?Function => {
+  if (isCallable(binding.value)) {
+    return binding.value;
+  }
+
+  if (isObject(binding.value) && isCallable(binding.value.handler)) {
+    return binding.value.handler;
+  }
+
+  return null;
+};
+
+/**
+ * Resolves the focus and scroll options of the first invalid field from the directive value.
+ */
+const resolveOptions = (binding): MapObject => {
+  if (!isObject(binding.value)) {
+    return {};
+  }
+
+  const { focus, scroll } = binding.value;
+
+  return { focus, scroll };
+};
+
+/**
+ * Validates every field rendered within the form with the validator of the component, no matter which component registered it.
+ */
+const validateForm = (el: HTMLElement): Promise<boolean> => {
+  const { validator, options } = el._veeValidateForm;
+  const fields = Config.dependency('validator').fields.items.filter(field => field.el && getForm(field.el) === el);
+
+  return validator.validateAll(fields.map(field => `#${field.id}`), options);
+};
+
+/**
+ * Validates the form and calls the handler if it is valid, keeping the submission flags up to date.
+ */
+const submit = (el: HTMLElement, event: Event) => {
+  const { flags, handler } = el._veeValidateForm;
+  if (flags.submitting) {
+    return Promise.resolve();
+  }
+
+  flags.submitCount++;
+  flags.submitting = true;
+  flags.submitFailed = false;
+
+  const fail = (err?: any) => {
+    flags.submitting = false;
+    flags.submitFailed = true;
+    if (err && process.env.NODE_ENV !== 'production') {
+      warn(`The form submission failed: ${err.message || String(err)}`);
+    }
+  };
+
+  // rules and handlers that throw or reject mark the submission as failed as well.
+  return validateForm(el).then(valid => {
+    if (!valid) {
+      fail();
+      return;
+    }
+
+    return new Promise(resolve => resolve(handler ? handler(event) : undefined)).then(() => {
+      flags.submitting = false;
+    });
+  }).catch(fail);
+};
+
+export default {
+  bind (el: HTMLElement, binding, vnode) {
+    const validator = vnode.context.$validator;
+    if (!validator || !Array.isArray(validator.forms)) {
+      if (process.env.NODE_ENV !== 'production') {
+        warn(`No validator instance is present on vm, did you forget to inject '$validator'?`);
+      }
+
+      return;
+    }
+
+    if (el.tagName !== 'FORM' && process.env.NODE_ENV !== 'production') {
+      warn('The v-validate-form directive should be used on form elements.');
+    }
+
+    const form = {
+      el,
+      scope: getDataAttribute(el, 'scope') || null,
+      flags: createFormFlags()
+    };
+    validator.forms.push(form);
+
+    const listener = (e: Event) => {
+      e.preventDefault();
+      submit(el, e);
+    };
+    el._veeValidateForm = {
+      form,
+      validator,
+      flags: form.flags,
+      handler: resolveHandler(binding),
+      options: resolveOptions(binding),
+      listener
+    };
+    el.addEventListener('submit', listener);
+  },
+  update (el: HTMLElement, binding) {
+    if (!el._veeValidateForm) return;
+
+    el._veeValidateForm.handler = resolveHandler(binding);
+    el._veeValidateForm.options = resolveOptions(binding);
+  },
+  unbind (el: HTMLElement, binding, vnode) {
+    const state = el._veeValidateForm;
+    if (!state) return;
+
+    el.removeEventListener('submit', state.listener);
+    const forms = vnode.context.$validator && vnode.context.$validator.forms;
+    if (forms && forms.indexOf(state.form) !== -1) {
+      forms.splice(forms.indexOf(state.form), 1);
+    }
+
+    delete el._veeValidateForm;
+  }
+};
@@ -1,5 +1,6 @@
 import install from './install';
 import directive from './directive';
+import formDirective from './formDirective';
 import mixin from './mixin';
 import en from '../locale/en';
 import use from './use';
@@ -7,7 +8,8 @@ import * as Rules from './rules';
 import mapFields from './core/mapFields';
 import Validator from './core/validator';
 import ErrorBag from './core/errorBag';
-import { ErrorComponent } from './components';
+import remote from './core/remote';
+import { ErrorComponent, ErrorSummary, ValidationProvider, ValidationObserver } from './components';
 
 const version = '__VERSION__';
 
@@ -26,12 +28,17 @@ export {
   install,
   use,
   directive,
+  formDirective,
   mixin,
   mapFields,
   Validator,
   ErrorBag,
+  remote,
   Rules,
   ErrorComponent,
+  ErrorSummary,
+  ValidationProvider,
+  ValidationObserver,
   version
 };
 
@@ -39,11 +46,16 @@ export default {
   install,
   use,
   directive,
+  formDirective,
   mixin,
   mapFields,
   Validator,
   ErrorBag,
+  remote,
   ErrorComponent,
+  ErrorSummary,
+  ValidationProvider,
+  ValidationObserver,
   Rules,
   version
 };
@@ -1,11 +1,13 @@
 import Validator from './core/validator';
 import directive from './directive';
+import formDirective from './formDirective';
 import mixin from './mixin';
 import install from './install';
 import use from './use';
 import ErrorBag from './core/errorBag';
+import remote from './core/remote';
 import mapFields from './core/mapFields';
-import { ErrorComponent } from './components';
+import { ErrorComponent, ErrorSummary, ValidationProvider, ValidationObserver } from './components';
 
 const version = '__VERSION__';
 
@@ -13,22 +15,32 @@ export {
   install,
   use,
   directive,
+  formDirective,
   mixin,
   mapFields,
   Validator,
   ErrorBag,
+  remote,
   version,
-  ErrorComponent
+  ErrorComponent,
+  ErrorSummary,
+  ValidationProvider,
+  ValidationObserver
 };
 
 export default {
   install,
   use,
   directive,
+  formDirective,
   mixin,
   mapFields,
   Validator,
   ErrorBag,
+  remote,
   ErrorComponent,
+  ErrorSummary,
+  ValidationProvider,
+  ValidationObserver,
   version
 };
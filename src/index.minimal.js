@@ -1,20 +1,27 @@
 import install from './install';
 import directive from './directive';
+import formDirective from './formDirective';
 import mixin from './mixin';
 import use from './use';
 import Validator from './core/validator';
 import mapFields from './core/mapFields';
 import ErrorBag from './core/errorBag';
-import { ErrorComponent } from './components';
+import remote from './core/remote';
+import { ErrorComponent, ErrorSummary, ValidationProvider, ValidationObserver } from './components';
 
 export default {
   install,
   use,
   directive,
+  formDirective,
   mixin,
   mapFields,
   Validator,
   ErrorBag,
+  remote,
   ErrorComponent,
+  ErrorSummary,
+  ValidationProvider,
+  ValidationObserver,
   version: '__VERSION__'
 };
@@ -1,5 +1,6 @@
 import mixin from './mixin';
 import directive from './directive';
+import formDirective from './formDirective';
 import Config from './config';
 import Validator from './core/validator';
 import { warn, detectPassiveSupport } from './core/utils';
@@ -54,6 +55,7 @@ function install (_Vue, options = {}) {
 
   Vue.mixin(mixin);
   Vue.directive('validate', directive);
+  Vue.directive('validate-form', formDirective);
 };
 
 export default install;
@@ -1,6 +1,6 @@
 import Config from './config';
 import Validator from './core/validatorDecorator';
-import { isObject, isBuiltInComponent } from './core/utils';
+import { isObject, isBuiltInComponent, isCallable } from './core/utils';
 
 // @flow
 
@@ -59,6 +59,7 @@ export default {
     if (!requested && this.$validator) {
       const Vue = this.$options._base; // the vue constructor.
       Vue.util.defineReactive(this.$validator, 'errors', this.$validator.errors);
+      Vue.util.defineReactive(this.$validator, 'forms', this.$validator.forms);
     }
 
     if (! this.$options.computed) {
@@ -69,7 +70,7 @@ export default {
       return this.$validator.errors;
     };
     this.$options.computed[options.fieldsBagName || 'fields'] = function fieldBagGetter () {
-      return this.$validator.fields.items.reduce((acc, field) => {
+      const bag = this.$validator.fields.items.reduce((acc, field) => {
         if (field.scope) {
           if (!acc[`$${field.scope}`]) {
             acc[`$${field.scope}`] = {};
@@ -84,11 +85,33 @@ export default {
 
         return acc;
       }, {});
+
+      // the submission flags of the forms using the v-validate-form directive.
+      (this.$validator.forms || []).forEach(form => {
+        if (!form.scope) {
+          bag.$form = form.flags;
+          return;
+        }
+
+        if (!bag[`$${form.scope}`]) {
+          bag[`$${form.scope}`] = {};
+        }
+
+        bag[`$${form.scope}`].$form = form.flags;
+      });
+
+      return bag;
     };
   },
   beforeDestroy () {
     if (this.$validator && this._uid === this.$validator.id) {
       this.$validator.errors.clear(); // remove errors generated by this component.
     }
+  },
+  destroyed () {
+    // the hooks are removed once the directives are unbound, so the detached fields are still reported.
+    if (this.$validator && this._uid === this.$validator.id && isCallable(this.$validator.off)) {
+      this.$validator.off();
+    }
   }
 };
@@ -0,0 +1,71 @@
+import { isCallable, warn } from './core/utils';
+
+// @flow
+
+/**
+ * Validates on every input.
+ */
+const aggressive = () => ({
+  on: ['input']
+});
+
+/**
+ * Validates on change only.
+ */
+const lazy = () => ({
+  on: ['change']
+});
+
+/**
+ * Validates on change or blur first, then on every input once the field is invalid.
+ */
+const eager = ({ errors }) => {
+  if (errors.length) {
+    return {
+      on: ['input']
+    };
+  }
+
+  return {
+    on: ['change', 'blur']
+  };
+};
+
+/**
+ * Never validates on events, the field has to be validated manually.
+ */
+const passive = () => ({
+  on: []
+});
+
+const modes = {
+  aggressive,
+  lazy,
+  eager,
+  passive
+};
+
+/**
+ * Resolves an interaction mode function from its name, custom mode functions are returned as is.
+ */
+export const resolveMode = (mode: ?string | Function): ?Function => {
+  if (isCallable(mode)) {
+    return mode;
+  }
+
+  if (!mode) {
+    return null;
+  }
+
+  if (!modes[mode]) {
+    if (process.env.NODE_ENV !== 'production') {
+      warn(`No interaction mode named "${String(mode)}" exists, falling back to the configured events.`);
+    }
+
+    return null;
+  }
+
+  return modes[mode];
+};
+
+export default modes;
@@ -38,6 +38,7 @@ const validate = (value, params) => {
 };
 
 const options = {
+  hasTarget: true,
   isDate: true
 };
 
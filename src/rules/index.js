@@ -31,6 +31,10 @@ import min_value from './min_value';
 import numeric from './numeric';
 import regex from './regex';
 import required from './required';
+import required_if from './required_if';
+import required_unless from './required_unless';
+import required_with from './required_with';
+import required_without from './required_without';
 import size from './size';
 import url from './url';
 
@@ -67,6 +71,10 @@ export {
   numeric,
   regex,
   required,
+  required_if,
+  required_unless,
+  required_with,
+  required_without,
   size,
   url
 };
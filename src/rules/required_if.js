@@ -0,0 +1,28 @@
+import { validate as required } from './required';
+import { includes } from '../core/utils';
+
+const validate = (value, [otherValue, ...values] = []) => {
+  const isRequired = includes(values.map(String), String(otherValue));
+
+  return {
+    valid: !isRequired || required(value),
+    data: {
+      required: isRequired
+    }
+  };
+};
+
+const options = {
+  hasTarget: true,
+  computesRequired: true
+};
+
+export {
+  validate,
+  options
+};
+
+export default {
+  validate,
+  options
+};
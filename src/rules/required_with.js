@@ -0,0 +1,27 @@
+import { validate as required } from './required';
+
+const validate = (value, [otherValue] = []) => {
+  const isRequired = required(otherValue);
+
+  return {
+    valid: !isRequired || required(value),
+    data: {
+      required: isRequired
+    }
+  };
+};
+
+const options = {
+  hasTarget: true,
+  computesRequired: true
+};
+
+export {
+  validate,
+  options
+};
+
+export default {
+  validate,
+  options
+};
@@ -0,0 +1,83 @@
+import { isCallable, warn } from './core/utils';
+
+// @flow
+
+/**
+ * Applies the transformation to string values only, other values are passed as is.
+ */
+const onStrings = (fn: (value: string) => any) => (value: any) => typeof value === 'string' ? fn(value) : value;
+
+/**
+ * Removes the leading and trailing whitespace.
+ */
+const trim = onStrings(value => value.trim());
+
+/**
+ * Replaces consecutive whitespace with a single space.
+ */
+const collapse = onStrings(value => value.replace(/\s+/g, ' '));
+
+/**
+ * Converts numeric strings to numbers, other strings are kept so the rules can report them.
+ */
+const number = onStrings(value => {
+  if (!value.trim() || isNaN(Number(value))) {
+    return value;
+  }
+
+  return Number(value);
+});
+
+const lowercase = onStrings(value => value.toLowerCase());
+
+const uppercase = onStrings(value => value.toUpperCase());
+
+const transforms = {
+  trim,
+  collapse,
+  number,
+  lowercase,
+  uppercase
+};
+
+/**
+ * Resolves a transform function from a pipe separated list of transform names, a function or an array of both.
+ * The transforms run from left to right, each receiving the value returned by the previous one.
+ */
+export const resolveTransform = (transform: ?string | Function | Array<string | Function>): ?Function => {
+  if (isCallable(transform)) {
+    return transform;
+  }
+
+  const pipeline = (Array.isArray(transform) ? transform : String(transform || '').split('|')).reduce((fns, item) => {
+    if (isCallable(item)) {
+      fns.push(item);
+      return fns;
+    }
+
+    const name = String(item).trim();
+    if (!name) {
+      return fns;
+    }
+
+    if (!transforms[name]) {
+      if (process.env.NODE_ENV !== 'production') {
+        warn(`No transform named "${name}" exists.`);
+      }
+
+      return fns;
+    }
+
+    fns.push(transforms[name]);
+
+    return fns;
+  }, []);
+
+  if (!pipeline.length) {
+    return null;
+  }
+
+  return (value: any) => pipeline.reduce((result, fn) => fn(result), value);
+};
+
+export default transforms;
@@ -0,0 +1,67 @@
+import { mount, createLocalVue } from '@vue/test-utils';
+import flushPromises from 'flush-promises';
+import VeeValidate from '@/index';
+import { removeLiveRegion } from '@/core/liveRegion';
+import AccessibilityComponent from './components/Accessibility';
+
+afterEach(() => {
+  removeLiveRegion();
+});
+
+test('links the rendered error elements to the inputs while they are invalid', async () => {
+  const Vue = createLocalVue();
+  Vue.use(VeeValidate);
+  const wrapper = mount(AccessibilityComponent, { localVue: Vue, attachToDocument: true });
+  const input = wrapper.find('input[name="email"]');
+  const field = wrapper.vm.$validator.fields.find({ name: 'email' });
+
+  await wrapper.vm.$validator.validate('email');
+  await flushPromises();
+  // only the first error element of the field gets its error id.
+  expect(wrapper.find('.first').attributes().id).toBe(field.errorId);
+  expect(wrapper.find('.second').attributes().id).toBeUndefined();
+  expect(input.attributes()['aria-describedby']).toBe(`email-hint ${field.errorId}`);
+
+  wrapper.setData({ email: 'someone@example.com' });
+  await wrapper.vm.$validator.validate('email');
+  await flushPromises();
+  expect(input.attributes()['aria-describedby']).toBe('email-hint');
+
+  // the inputs without a rendered error element are not described.
+  await wrapper.vm.$validator.validate('name');
+  await flushPromises();
+  expect(wrapper.find('input[name="name"]').attributes()['aria-invalid']).toBe('true');
+  expect(wrapper.find('input[name="name"]').attributes()['aria-describedby']).toBeUndefined();
+
+  // every input of the group describes the errors of the field.
+  const plan = wrapper.vm.$validator.fields.find({ name: 'plan' });
+  await wrapper.vm.$validator.validate('plan');
+  await flushPromises();
+  wrapper.findAll('input[type="radio"]').wrappers.forEach(radio => {
+    expect(radio.attributes()['aria-describedby']).toBe(plan.errorId);
+  });
+
+  wrapper.destroy();
+});
+
+test('announces the new errors with a live region', async () => {
+  const Vue = createLocalVue();
+  Vue.use(VeeValidate, { liveRegion: true });
+  const wrapper = mount(AccessibilityComponent, { localVue: Vue, attachToDocument: true });
+
+  await wrapper.vm.$validator.validate('email');
+  const region = document.getElementById('vv-live-region');
+  expect(region.getAttribute('aria-live')).toBe('polite');
+  expect(region.textContent).toBe(wrapper.vm.errors.first('email'));
+
+  // the same error is not announced again.
+  region.textContent = '';
+  await wrapper.vm.$validator.validate('email');
+  expect(region.textContent).toBe('');
+
+  wrapper.setData({ email: 'someone' });
+  await wrapper.vm.$validator.validate('email');
+  expect(region.textContent).toBe(wrapper.vm.errors.first('email'));
+
+  wrapper.destroy();
+});
@@ -2,6 +2,7 @@ import { shallow, createLocalVue } from '@vue/test-utils';
 import flushPromises from 'flush-promises';
 import VeeValidate from '@/index';
 import TestComponent from './components/BailContinue';
+import SequentialComponent from './components/Sequential';
 
 test('fields can be configured to continue after first failure with the .continues modifier', async () => {
   const Vue = createLocalVue();
@@ -40,3 +41,28 @@ test('continues modifier can be used to skip the required rule empty value check
 
   expect(wrapper.vm.errors.collect('notRequired')).toHaveLength(2); // is and min should fail.
 });
+
+test('the sequential modifier waits for each async rule before testing the next one', async () => {
+  const Vue = createLocalVue();
+  Vue.use(VeeValidate);
+  const calls = [];
+  const asyncRule = (name, check) => (value, params) => {
+    calls.push(name);
+
+    return new Promise(resolve => setTimeout(() => resolve(check(value, params)), 0));
+  };
+  VeeValidate.Validator.extend('async_min', asyncRule('min', (value, [length]) => value.length >= length));
+  VeeValidate.Validator.extend('async_is', asyncRule('is', (value, [other]) => value === other));
+
+  const wrapper = shallow(SequentialComponent, { localVue: Vue });
+  await flushPromises();
+  calls.splice(0, calls.length);
+
+  expect(await wrapper.vm.$validator.validate('sequential')).toBe(false);
+  expect(calls).toEqual(['min']);
+  expect(wrapper.vm.errors.collect('sequential')).toHaveLength(1);
+
+  calls.splice(0, calls.length);
+  expect(await wrapper.vm.$validator.validate('parallel')).toBe(false);
+  expect(calls).toEqual(['min', 'is']);
+});
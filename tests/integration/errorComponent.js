@@ -0,0 +1,53 @@
+import { mount, createLocalVue } from '@vue/test-utils';
+import VeeValidate from '@/index';
+import ErrorComponent from './components/ErrorComponent';
+
+test('renders nothing when there are no errors', async () => {
+  const Vue = createLocalVue();
+  Vue.use(VeeValidate);
+  const wrapper = mount(ErrorComponent, { localVue: Vue });
+
+  expect(wrapper.findAll('span')).toHaveLength(0);
+  expect(wrapper.findAll('p')).toHaveLength(0);
+  expect(wrapper.findAll('ul')).toHaveLength(0);
+});
+
+test('renders the first, limited, filtered or all the errors of a field', async () => {
+  const Vue = createLocalVue();
+  Vue.use(VeeValidate);
+  const wrapper = mount(ErrorComponent, { localVue: Vue });
+  const { $validator } = wrapper.vm;
+
+  wrapper.setData({ password: '#', code: 'a' });
+  await $validator.validateAll();
+  await $validator.validateAll('s1');
+  const messages = $validator.errors.collect('password');
+  expect(messages).toHaveLength(2);
+
+  expect(wrapper.find('.first').text()).toBe(messages[0]);
+  expect(wrapper.findAll('.all span').wrappers.map(w => w.text())).toEqual(messages);
+  expect(wrapper.findAll('.limited span').wrappers.map(w => w.text())).toEqual(messages);
+  expect(wrapper.find('.by-rule').text()).toBe($validator.errors.firstByRule('password', 'alpha_num'));
+  expect(wrapper.find('.scoped').text()).toBe($validator.errors.first('s1.code'));
+
+  // the first error element gets the error id, the others keep their own ids.
+  const field = $validator.fields.find({ name: 'password' });
+  expect(wrapper.find('.first').attributes().id).toBe(field.errorId);
+  expect(wrapper.find('.limited').attributes().id).toBeUndefined();
+  expect(wrapper.find('input[name="password"]').attributes()['aria-describedby']).toBe(`${field.errorId} password-errors`);
+});
+
+test('passes the error objects to the scoped slot', async () => {
+  const Vue = createLocalVue();
+  Vue.use(VeeValidate);
+  const wrapper = mount(ErrorComponent, { localVue: Vue });
+  const { $validator } = wrapper.vm;
+
+  wrapper.setData({ password: '#' });
+  await $validator.validateAll();
+
+  const items = wrapper.findAll('.slotted li');
+  expect(items).toHaveLength(2);
+  expect(items.at(0).text()).toBe(`min: ${$validator.errors.firstByRule('password', 'min')}`);
+  expect(items.at(1).text()).toBe(`alpha_num: ${$validator.errors.firstByRule('password', 'alpha_num')}`);
+});
@@ -0,0 +1,55 @@
+import { mount, createLocalVue } from '@vue/test-utils';
+import VeeValidate from '@/index';
+import ErrorSummaryComponent from './components/ErrorSummary';
+
+test('lists the errors in the document order of their fields', async () => {
+  const Vue = createLocalVue();
+  Vue.use(VeeValidate);
+  const wrapper = mount(ErrorSummaryComponent, { localVue: Vue, attachToDocument: true });
+  const { $validator } = wrapper.vm;
+
+  expect(wrapper.find('.vv-error-summary').exists()).toBe(false);
+
+  await $validator.validate('s1.phone');
+  await $validator.validate('email');
+  await $validator.validate('name');
+
+  const links = wrapper.findAll('.vv-error-summary a');
+  expect(links.wrappers.map(link => link.text())).toEqual([
+    $validator.errors.first('name'),
+    $validator.errors.first('email'),
+    $validator.errors.first('s1.phone')
+  ]);
+  expect(links.at(0).attributes().href).toBe('#name-input');
+  expect(links.at(1).attributes().href).toBe('#');
+
+  // the links focus the inputs.
+  links.at(1).trigger('click');
+  expect(document.activeElement).toBe(wrapper.find('input[name="email"]').element);
+
+  // the scoped slot receives the errors of the scope.
+  expect(wrapper.findAll('.scoped li').wrappers.map(item => item.text())).toEqual(['phone']);
+
+  wrapper.destroy();
+});
+
+test('updates when the errors change or the locale regenerates the messages', async () => {
+  const Vue = createLocalVue();
+  Vue.use(VeeValidate);
+  const wrapper = mount(ErrorSummaryComponent, { localVue: Vue, attachToDocument: true });
+  const { $validator } = wrapper.vm;
+
+  await $validator.validate('name');
+  expect(wrapper.findAll('.vv-error-summary li')).toHaveLength(1);
+
+  $validator.localize('en', { messages: { required: field => `${field} is missing.` } });
+  $validator.errors.regenerate();
+  await wrapper.vm.$nextTick();
+  expect(wrapper.find('.vv-error-summary a').text()).toBe('name is missing.');
+
+  $validator.errors.clear();
+  await wrapper.vm.$nextTick();
+  expect(wrapper.find('.vv-error-summary').exists()).toBe(false);
+
+  wrapper.destroy();
+});
@@ -0,0 +1,71 @@
+import { mount, createLocalVue } from '@vue/test-utils';
+import flushPromises from 'flush-promises';
+import VeeValidate from '@/index';
+import TestComponent from './components/FieldArray';
+
+const Vue = createLocalVue();
+Vue.use(VeeValidate);
+
+test('re-indexes the field names and moves their errors when keyed rows are re-ordered', async () => {
+  const wrapper = mount(TestComponent, { localVue: Vue });
+
+  expect(await wrapper.vm.$validator.validateAll()).toBe(false);
+  expect(wrapper.vm.errors.first('items[0].qty')).toBe('The items[0].qty field is required.');
+
+  wrapper.vm.items.reverse();
+  await flushPromises();
+
+  expect(wrapper.vm.errors.has('items[0].qty')).toBe(false);
+  expect(wrapper.vm.errors.first('items[2].qty')).toBe('The items[2].qty field is required.');
+  expect(wrapper.vm.fields['items[2].qty'].invalid).toBe(true);
+
+  // the removed row takes its errors with it.
+  wrapper.vm.items.pop();
+  await flushPromises();
+  expect(wrapper.vm.errors.count()).toBe(1);
+  expect(wrapper.vm.errors.has('rows[0].qty')).toBe(true);
+  wrapper.destroy();
+});
+
+test('moves the row state with its key when elements are re-used for other rows', async () => {
+  const wrapper = mount(TestComponent, { localVue: Vue });
+  const inputs = () => wrapper.findAll('input[name^="rows"]');
+
+  inputs().at(1).trigger('blur');
+  expect(await wrapper.vm.$validator.validate('rows[0].qty')).toBe(false);
+  expect(wrapper.vm.fields['rows[0].qty'].touched).toBe(false);
+  expect(wrapper.vm.fields['rows[1].qty'].touched).toBe(true);
+
+  // the first element now renders the second row, so it gets its state.
+  wrapper.vm.rows.reverse();
+  await flushPromises();
+
+  expect(inputs().at(0).element.value).toBe('3');
+  expect(wrapper.vm.errors.has('rows[0].qty')).toBe(false);
+  expect(wrapper.vm.fields['rows[0].qty'].touched).toBe(true);
+  expect(wrapper.vm.fields['rows[1].qty'].touched).toBe(false);
+  expect(wrapper.vm.errors.first('rows[1].qty')).toBe('The rows[1].qty field is required.');
+
+  // new rows start fresh.
+  wrapper.vm.rows.splice(1, 1, { id: 'c', qty: '1' });
+  await flushPromises();
+  expect(wrapper.vm.errors.has('rows[1].qty')).toBe(false);
+  expect(wrapper.vm.fields['rows[1].qty'].validated).toBe(false);
+  wrapper.destroy();
+});
+
+test('maps the aggregate flags of field arrays', async () => {
+  const wrapper = mount(TestComponent, { localVue: Vue });
+  await flushPromises();
+
+  expect(wrapper.vm.itemsFlags.invalid).toBe(true);
+  expect(wrapper.vm.quantityFlags.validated).toBe(false);
+
+  wrapper.vm.items[0].qty = '2';
+  await flushPromises();
+  await wrapper.vm.$validator.validateAll();
+
+  expect(wrapper.vm.itemsFlags.valid).toBe(true);
+  expect(wrapper.vm.quantityFlags.validated).toBe(true);
+  wrapper.destroy();
+});
@@ -0,0 +1,52 @@
+import { mount, createLocalVue } from '@vue/test-utils';
+import VeeValidate from '@/index';
+import FocusComponent from './components/Focus';
+
+test('focuses the first invalid field in the document order after validating', async () => {
+  const Vue = createLocalVue();
+  Vue.use(VeeValidate);
+  const wrapper = mount(FocusComponent, { localVue: Vue, attachToDocument: true });
+
+  expect(await wrapper.vm.$validator.validateAll('s1', { focus: true })).toBe(false);
+  expect(document.activeElement).toBe(wrapper.find('input[name="third"]').element);
+
+  // the first form control of the component is focused.
+  expect(await wrapper.vm.$validator.validateScopes({ focus: true })).toBe(false);
+  expect(document.activeElement).toBe(wrapper.find('.text-input input').element);
+
+  wrapper.destroy();
+});
+
+test('does not focus anything if the fields are valid or the validation is silent', async () => {
+  const Vue = createLocalVue();
+  Vue.use(VeeValidate);
+  const wrapper = mount(FocusComponent, { localVue: Vue, attachToDocument: true });
+  document.body.focus();
+
+  expect(await wrapper.vm.$validator.validateAll({ first: 'filled' }, { focus: true })).toBe(true);
+  expect(await wrapper.vm.$validator.validateAll('s1', { focus: true, silent: true })).toBe(false);
+  expect(document.activeElement).toBe(document.body);
+
+  wrapper.destroy();
+});
+
+test('focuses and scrolls to the first error of a scope on demand', async () => {
+  const Vue = createLocalVue();
+  Vue.use(VeeValidate);
+  const wrapper = mount(FocusComponent, { localVue: Vue, attachToDocument: true });
+  const fourth = wrapper.find('input[name="fourth"]').element;
+  fourth.scrollIntoView = jest.fn();
+
+  wrapper.setData({ third: 'filled' });
+  await wrapper.vm.$validator.validateScopes();
+
+  const field = wrapper.vm.$validator.focusFirstError('s1', { scroll: { block: 'center' } });
+  expect(field.name).toBe('fourth');
+  expect(document.activeElement).toBe(fourth);
+  expect(fourth.scrollIntoView).toHaveBeenCalledWith({ block: 'center' });
+
+  expect(wrapper.vm.$validator.focusFirstError().name).toBe('second');
+  expect(document.activeElement).toBe(wrapper.find('.text-input input').element);
+
+  wrapper.destroy();
+});
@@ -0,0 +1,117 @@
+import { mount, createLocalVue } from '@vue/test-utils';
+import flushPromises from 'flush-promises';
+import VeeValidate from '@/index';
+import FormDirectiveComponent from './components/FormDirective';
+
+const submit = (wrapper, selector = 'form') => {
+  wrapper.find(selector).trigger('submit');
+
+  return flushPromises();
+};
+
+test('validates the fields inside the form and calls the handler once they are valid', async () => {
+  const Vue = createLocalVue();
+  Vue.use(VeeValidate);
+  const wrapper = mount(FormDirectiveComponent, { localVue: Vue });
+  const { errors } = wrapper.vm;
+
+  await submit(wrapper);
+  expect(wrapper.vm.submitted).toBe(0);
+  expect(errors.has('email')).toBe(true);
+  expect(errors.has('nickname')).toBe(true);
+  // the fields outside the form or in other forms are not validated.
+  expect(errors.has('outside')).toBe(false);
+  expect(errors.has('billing.card')).toBe(false);
+  expect(wrapper.vm.fields.$form).toEqual({ submitting: false, submitCount: 1, submitFailed: true });
+
+  wrapper.setData({ email: 'someone@example.com', nickname: 'someone' });
+  await submit(wrapper);
+  expect(wrapper.vm.submitted).toBe(1);
+  expect(wrapper.vm.fields.$form).toEqual({ submitting: false, submitCount: 2, submitFailed: false });
+});
+
+test('tracks the submission of scoped forms and waits for the handler', async () => {
+  const Vue = createLocalVue();
+  Vue.use(VeeValidate);
+  const wrapper = mount(FormDirectiveComponent, { localVue: Vue });
+  wrapper.setData({ card: '4242' });
+
+  let rejectHandler;
+  wrapper.setData({ billingResult: new Promise((resolve, reject) => { rejectHandler = reject; }) });
+  await submit(wrapper, 'form[data-vv-scope="billing"]');
+  expect(wrapper.vm.fields.$billing.$form).toEqual({ submitting: true, submitCount: 1, submitFailed: false });
+
+  // submitting again while the handler is pending is ignored.
+  await submit(wrapper, 'form[data-vv-scope="billing"]');
+  expect(wrapper.vm.fields.$billing.$form.submitCount).toBe(1);
+
+  // a rejected handler marks the submission as failed.
+  const warn = jest.spyOn(global.console, 'warn').mockImplementation(() => {});
+  rejectHandler(new Error('Server error'));
+  await flushPromises();
+  expect(wrapper.vm.fields.$billing.$form).toEqual({ submitting: false, submitCount: 1, submitFailed: true });
+  expect(warn).toHaveBeenCalledWith('[vee-validate] The form submission failed: Server error');
+  warn.mockRestore();
+});
+
+test('recovers from rules that reject while validating the form', async () => {
+  const Vue = createLocalVue();
+  Vue.use(VeeValidate);
+  VeeValidate.Validator.extend('failing_check', () => Promise.reject(new Error('Network Error')), { immediate: false });
+  const handler = jest.fn();
+  const wrapper = mount({
+    render (h) {
+      return h('form', { directives: [{ name: 'validate-form', value: handler }] }, [
+        h('input', { attrs: { type: 'text', name: 'code', value: 'abc' }, directives: [{ name: 'validate', value: 'failing_check' }] })
+      ]);
+    }
+  }, { localVue: Vue });
+  const warn = jest.spyOn(global.console, 'warn').mockImplementation(() => {});
+
+  await submit(wrapper);
+  expect(handler).not.toHaveBeenCalled();
+  expect(wrapper.vm.fields.$form).toEqual({ submitting: false, submitCount: 1, submitFailed: true });
+  expect(warn).toHaveBeenCalledWith('[vee-validate] The form submission failed: Network Error');
+
+  // the form can be submitted again.
+  await submit(wrapper);
+  expect(wrapper.vm.fields.$form.submitCount).toBe(2);
+  warn.mockRestore();
+});
+
+test('validates with the validator of the component', async () => {
+  const Vue = createLocalVue();
+  Vue.use(VeeValidate);
+  const wrapper = mount(FormDirectiveComponent, { localVue: Vue, attachToDocument: true });
+
+  // the first invalid field is focused if the focus option is set.
+  await submit(wrapper, 'form[data-vv-scope="billing"]');
+  expect(document.activeElement).toBe(wrapper.find('input[name="card"]').element);
+
+  // a paused validator does not validate the fields.
+  wrapper.vm.$validator.pause();
+  await submit(wrapper);
+  expect(wrapper.vm.submitted).toBe(1);
+  expect(wrapper.vm.errors.has('email')).toBe(false);
+  wrapper.destroy();
+});
+
+test('removes the form state once the directive is unbound', async () => {
+  const Vue = createLocalVue();
+  Vue.use(VeeValidate);
+  const wrapper = mount(FormDirectiveComponent, { localVue: Vue });
+  const form = wrapper.find('form').element;
+  const handler = jest.fn();
+  form.addEventListener('submit', handler);
+
+  expect(wrapper.vm.$validator.forms).toHaveLength(2);
+  wrapper.destroy();
+  expect(wrapper.vm.$validator.forms).toHaveLength(0);
+  expect(form._veeValidateForm).toBeUndefined();
+
+  // the native submission is no longer prevented.
+  const event = new Event('submit', { cancelable: true });
+  form.dispatchEvent(event);
+  expect(handler).toHaveBeenCalled();
+  expect(event.defaultPrevented).toBe(false);
+});
@@ -35,3 +35,16 @@ test('destroy: removes vm associated errors when the vm is destroyed', async ()
   wrapper.destroy();
   expect(validator.errors.count()).toBe(0); // should be removed.
 });
+
+test('destroy: reports the detached fields then removes the vm hooks', () => {
+  const Vue = createLocalVue();
+  Vue.use(VeeValidate);
+  const wrapper = shallow(BasicComponent, { localVue: Vue });
+  const detached = jest.fn();
+  wrapper.vm.$validator.on('fieldDetached', detached);
+  const base = wrapper.vm.$validator._base;
+
+  wrapper.destroy();
+  expect(detached).toHaveBeenCalledWith(expect.objectContaining({ name: 'field' }));
+  expect(base._hooks.fieldDetached).toHaveLength(0);
+});
@@ -0,0 +1,95 @@
+import { mount, createLocalVue } from '@vue/test-utils';
+import flushPromises from 'flush-promises';
+import VeeValidate from '@/index';
+import TestComponent from './components/Basic';
+import ModesComponent from './components/Modes';
+
+const setValue = (input, value, event) => {
+  input.element.value = value;
+  input.trigger(event);
+};
+
+test('eager mode validates on blur first then on input while the field is invalid', async () => {
+  const Vue = createLocalVue();
+  Vue.use(VeeValidate);
+
+  const wrapper = mount(ModesComponent, { localVue: Vue });
+  const input = wrapper.find('input[name="eager"]');
+
+  setValue(input, 'a', 'input');
+  await flushPromises();
+  expect(wrapper.vm.errors.has('eager')).toBe(false);
+
+  input.trigger('blur');
+  await flushPromises();
+  expect(wrapper.vm.errors.has('eager')).toBe(true);
+
+  // invalid, so every input is validated now.
+  setValue(input, 'abc', 'input');
+  await flushPromises();
+  expect(wrapper.vm.errors.has('eager')).toBe(false);
+
+  // valid again, back to validating on change or blur.
+  setValue(input, 'a', 'input');
+  await flushPromises();
+  expect(wrapper.vm.errors.has('eager')).toBe(false);
+
+  input.trigger('change');
+  await flushPromises();
+  expect(wrapper.vm.errors.has('eager')).toBe(true);
+
+  // resetting clears the errors so it stops validating on input.
+  await wrapper.vm.$validator.reset();
+  setValue(input, '', 'input');
+  await flushPromises();
+  expect(wrapper.vm.errors.has('eager')).toBe(false);
+});
+
+test('lazy and passive modes', async () => {
+  const Vue = createLocalVue();
+  Vue.use(VeeValidate);
+
+  const wrapper = mount(ModesComponent, { localVue: Vue });
+  const lazy = wrapper.find('input[name="lazy"]');
+  const passive = wrapper.find('input[name="passive"]');
+
+  lazy.trigger('input');
+  lazy.trigger('blur');
+  await flushPromises();
+  expect(wrapper.vm.errors.has('lazy')).toBe(false);
+
+  lazy.trigger('change');
+  await flushPromises();
+  expect(wrapper.vm.errors.has('lazy')).toBe(true);
+
+  passive.trigger('input');
+  passive.trigger('change');
+  passive.trigger('blur');
+  await flushPromises();
+  expect(wrapper.vm.errors.has('passive')).toBe(false);
+
+  expect(await wrapper.vm.$validator.validate('passive')).toBe(false);
+  expect(wrapper.vm.errors.has('passive')).toBe(true);
+});
+
+test('custom modes can be set globally', async () => {
+  const Vue = createLocalVue();
+  const mode = jest.fn(({ flags }) => ({ on: flags.validated ? 'input' : 'custom' }));
+  Vue.use(VeeValidate, { mode });
+
+  const wrapper = mount(TestComponent, { localVue: Vue });
+  const input = wrapper.find('input');
+
+  input.trigger('input');
+  await flushPromises();
+  expect(wrapper.vm.errors.count()).toBe(0);
+
+  input.trigger('custom');
+  await flushPromises();
+  expect(wrapper.vm.errors.count()).toBe(1);
+  expect(mode).toHaveBeenLastCalledWith({ errors: ['The field field is required.'], flags: expect.any(Object), value: '' });
+
+  setValue(input, 'value', 'input');
+  await flushPromises();
+  expect(wrapper.vm.errors.count()).toBe(0);
+});
@@ -0,0 +1,91 @@
+import { mount, createLocalVue } from '@vue/test-utils';
+import flushPromises from 'flush-promises';
+import VeeValidate from '@/index';
+import Config from '@/config';
+import { ValidationObserver } from '@/components';
+import TestComponent from './components/Observer';
+
+test('collects the fields rendered within it across component boundaries', async () => {
+  const Vue = createLocalVue();
+  Vue.use(VeeValidate);
+
+  const wrapper = mount(TestComponent, { localVue: Vue });
+  await flushPromises();
+
+  const names = wrapper.vm.$refs.observer.observedFields.map(f => f.name).sort();
+  expect(names).toEqual(['field', 'first', 'third']);
+});
+
+test('exposes combined flags of the observed fields', async () => {
+  const Vue = createLocalVue();
+  Vue.use(VeeValidate);
+
+  const wrapper = mount(TestComponent, { localVue: Vue });
+  await flushPromises();
+
+  const observer = wrapper.vm.$refs.observer;
+  expect(observer.combinedFlags.invalid).toBe(true);
+  expect(observer.combinedFlags.dirty).toBe(false);
+  expect(wrapper.find('button').element.disabled).toBe(true);
+
+  const input = wrapper.find('#first');
+  input.element.value = 'value';
+  input.trigger('input');
+  await flushPromises();
+
+  expect(observer.combinedFlags.dirty).toBe(true);
+  expect(observer.combinedFlags.invalid).toBe(true);
+
+  wrapper.setData({ third: 'value' });
+  wrapper.find('input[name="field"]').element.value = 'value';
+  wrapper.find('input[name="field"]').trigger('input');
+  wrapper.find('#third').element.value = 'value';
+  wrapper.find('#third').trigger('input');
+  await flushPromises();
+
+  expect(observer.combinedFlags.invalid).toBe(false);
+  expect(observer.combinedFlags.valid).toBe(true);
+  expect(wrapper.find('button').element.disabled).toBe(false);
+});
+
+test('validates and resets the observed fields only', async () => {
+  const Vue = createLocalVue();
+  Vue.use(VeeValidate);
+
+  const wrapper = mount(TestComponent, { localVue: Vue });
+  await flushPromises();
+
+  const observer = wrapper.vm.$refs.observer;
+  expect(await observer.validate()).toBe(false);
+  await flushPromises();
+
+  expect(observer.fieldErrors).toEqual({
+    first: ['The first field is required.'],
+    field: ['The field field is required.'],
+    third: ['The third field is required.']
+  });
+  expect(wrapper.find('#error').text()).toBe('The first field is required.');
+  expect(wrapper.vm.errors.has('outside')).toBe(false);
+
+  await observer.reset();
+  expect(observer.fieldErrors).toEqual({ first: [], field: [], third: [] });
+  expect(observer.combinedFlags.validated).toBe(false);
+});
+
+test('works without the plugin validator', async () => {
+  const Vue = createLocalVue();
+  const validator = Config.dependency('validator');
+  Config.register('validator', null);
+
+  const wrapper = mount(ValidationObserver, {
+    localVue: Vue,
+    scopedSlots: {
+      default: '<input type="text">'
+    }
+  });
+
+  expect(wrapper.vm.observedFields).toEqual([]);
+  expect(await wrapper.vm.validate()).toBe(true);
+  await expect(wrapper.vm.reset()).resolves.toBeUndefined();
+  Config.register('validator', validator);
+});
@@ -0,0 +1,107 @@
+import { mount, createLocalVue } from '@vue/test-utils';
+import flushPromises from 'flush-promises';
+import VeeValidate from '@/index';
+import TestComponent from './components/Provider';
+
+test('validates the wrapped input and exposes its errors and flags through the slot', async () => {
+  const Vue = createLocalVue();
+  Vue.use(VeeValidate);
+
+  const wrapper = mount(TestComponent, { localVue: Vue });
+  const input = wrapper.find('#username');
+  await flushPromises();
+  expect(wrapper.find('#error').exists()).toBe(false);
+
+  input.element.value = 'ab';
+  input.trigger('input');
+  await flushPromises();
+
+  expect(wrapper.find('#error').text()).toBe('The username field must be at least 3 characters.');
+  expect(wrapper.find('#flags').text()).toBe('invalid');
+
+  input.element.value = 'abc';
+  input.trigger('input');
+  await flushPromises();
+
+  expect(wrapper.find('#error').exists()).toBe(false);
+  expect(wrapper.find('#flags').text()).toBe('valid');
+});
+
+test('registers the field with the parent validator', async () => {
+  const Vue = createLocalVue();
+  Vue.use(VeeValidate);
+
+  const wrapper = mount(TestComponent, { localVue: Vue });
+  await flushPromises();
+
+  const field = wrapper.vm.$validator.fields.find({ name: 'username' });
+  expect(field).toBeTruthy();
+  expect(wrapper.vm.fields.username.required).toBe(true);
+  expect(wrapper.vm.$validator.fields.find({ vid: 'nick' }).name).toBe('nickname');
+
+  expect(await wrapper.vm.$validator.validateAll()).toBe(false);
+  expect(wrapper.vm.errors.first('username')).toBe('The username field is required.');
+  expect(wrapper.vm.errors.first('nickname')).toBe('The nickname field is required.');
+});
+
+test('validate() can be triggered from the provider', async () => {
+  const Vue = createLocalVue();
+  Vue.use(VeeValidate);
+
+  const wrapper = mount(TestComponent, { localVue: Vue });
+  await flushPromises();
+
+  const provider = wrapper.vm.$refs.provider;
+  expect(await provider.validate()).toBe(false);
+  expect(provider.fieldErrors).toEqual(['The username field is required.']);
+  expect(provider.flags.validated).toBe(true);
+});
+
+test('describes the input with the element given the error id', async () => {
+  const Vue = createLocalVue();
+  Vue.use(VeeValidate);
+
+  const wrapper = mount(TestComponent, { localVue: Vue });
+  await flushPromises();
+
+  const provider = wrapper.vm.$refs.described;
+  const input = wrapper.find('input[name="bio"]');
+  expect(await provider.validate()).toBe(false);
+  await flushPromises();
+  expect(input.attributes()['aria-describedby']).toBe(provider._field.errorId);
+
+  // the element is no longer rendered once the field is valid.
+  input.element.value = 'Hello';
+  input.trigger('input');
+  await flushPromises();
+  expect(provider.flags.valid).toBe(true);
+  expect(input.attributes()['aria-describedby']).toBeUndefined();
+  expect(provider._field.errorElements).toHaveLength(0);
+});
+
+test('reacts to rules changes', async () => {
+  const Vue = createLocalVue();
+  Vue.use(VeeValidate);
+
+  const wrapper = mount(TestComponent, { localVue: Vue });
+  await flushPromises();
+
+  const provider = wrapper.vm.$refs.custom;
+  expect(await provider.validate()).toBe(false);
+
+  wrapper.setData({ rules: 'min:3' });
+  await flushPromises();
+  expect(await provider.validate()).toBe(true);
+});
+
+test('detaches the field when destroyed', async () => {
+  const Vue = createLocalVue();
+  Vue.use(VeeValidate);
+
+  const wrapper = mount(TestComponent, { localVue: Vue });
+  await flushPromises();
+  expect(wrapper.vm.$validator.fields.find({ name: 'username' })).toBeTruthy();
+
+  wrapper.destroy();
+  expect(wrapper.vm.$validator.fields.find({ name: 'username' })).toBeFalsy();
+});
@@ -0,0 +1,74 @@
+import { mount, createLocalVue } from '@vue/test-utils';
+import flushPromises from 'flush-promises';
+import VeeValidate from '@/index';
+import TestComponent from './components/ConditionalRequired';
+
+test('conditionally required fields are skipped when the condition does not hold', async () => {
+  const Vue = createLocalVue();
+  Vue.use(VeeValidate);
+
+  const wrapper = mount(TestComponent, { localVue: Vue });
+  await flushPromises();
+
+  const field = wrapper.vm.$validator.fields.find({ name: 'state' });
+  expect(field.isRequired).toBe(false);
+  expect(field.flags.required).toBe(false);
+  expect(wrapper.find('#state').attributes()['aria-required']).toBe('false');
+  expect(await wrapper.vm.$validator.validate('state')).toBe(true);
+});
+
+test('conditionally required fields are required when the condition holds', async () => {
+  const Vue = createLocalVue();
+  Vue.use(VeeValidate);
+
+  const wrapper = mount(TestComponent, { localVue: Vue });
+  // targets are resolved once the component re-renders.
+  wrapper.vm.$forceUpdate();
+  await flushPromises();
+
+  const country = wrapper.find('#country');
+  country.element.value = 'US';
+  country.trigger('change');
+  await flushPromises();
+
+  const field = wrapper.vm.$validator.fields.find({ name: 'state' });
+  expect(field.isRequired).toBe(true);
+  expect(field.flags.required).toBe(true);
+  expect(wrapper.find('#state').attributes()['aria-required']).toBe('true');
+  expect(wrapper.vm.errors.first('state')).toBe('The state field is required when the country field has this value.');
+
+  country.element.value = 'EG';
+  country.trigger('change');
+  await flushPromises();
+
+  expect(field.flags.required).toBe(false);
+  expect(wrapper.vm.errors.has('state')).toBe(false);
+});
+
+test('untouched conditionally required fields follow their registered targets', async () => {
+  const Vue = createLocalVue();
+  Vue.use(VeeValidate);
+
+  const wrapper = mount(TestComponent, { localVue: Vue });
+  await flushPromises();
+
+  const field = wrapper.vm.$validator.fields.find({ name: 'zip' });
+  expect(field.flags.required).toBe(false);
+
+  const region = wrapper.find('#region');
+  region.element.value = 'US';
+  region.trigger('change');
+  await flushPromises();
+
+  // the required state is shown before the user reaches the field, without validating it.
+  expect(field.flags.required).toBe(true);
+  expect(field.flags.validated).toBe(false);
+  expect(wrapper.find('#zip').attributes()['aria-required']).toBe('true');
+  expect(wrapper.vm.errors.has('zip')).toBe(false);
+
+  region.element.value = '';
+  region.trigger('change');
+  await flushPromises();
+  expect(field.flags.required).toBe(false);
+  expect(wrapper.find('#zip').attributes()['aria-required']).toBe('false');
+});
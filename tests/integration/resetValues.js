@@ -0,0 +1,82 @@
+import { mount, createLocalVue } from '@vue/test-utils';
+import flushPromises from 'flush-promises';
+import VeeValidate from '@/index';
+import ResetValuesComponent from './components/ResetValues';
+
+const editAll = async (wrapper) => {
+  wrapper.setData({ email: 'invalid', address: { city: '' }, nickname: '' });
+  wrapper.find('input[name="plain"]').element.value = 'edited';
+  await flushPromises();
+  await wrapper.vm.$validator.validateAll();
+};
+
+test('restores the initial values of the fields with their flags and errors', async () => {
+  const Vue = createLocalVue();
+  Vue.use(VeeValidate);
+  const wrapper = mount(ResetValuesComponent, { localVue: Vue });
+  await editAll(wrapper);
+  expect(wrapper.vm.errors.count()).toBe(4);
+
+  await wrapper.vm.$validator.reset(null, { values: true });
+  await flushPromises();
+
+  expect(wrapper.vm.email).toBe('someone@example.com');
+  expect(wrapper.vm.address.city).toBe('Cairo');
+  expect(wrapper.vm.nickname).toBe('someone');
+  expect(wrapper.find('input[name="plain"]').element.value).toBe('initial');
+  expect(wrapper.vm.errors.count()).toBe(0);
+  expect(wrapper.vm.fields.email).toEqual(expect.objectContaining({ changed: false, validated: false, dirty: false }));
+});
+
+test('restores the values of the v-for rows through their model', async () => {
+  const Vue = createLocalVue();
+  Vue.use(VeeValidate);
+  const wrapper = mount(ResetValuesComponent, { localVue: Vue });
+  wrapper.setData({ items: [{ id: 1, qty: '', unit: 'lb' }] });
+  await flushPromises();
+
+  await wrapper.vm.$validator.reset(null, { values: true });
+  expect(wrapper.vm.items[0]).toEqual({ id: 1, qty: '2', unit: 'kg' });
+  expect(wrapper.find('input[name="items[0].qty"]').element.value).toBe('2');
+  expect(wrapper.vm.errors.count()).toBe(0);
+
+  // the checkboxes cannot be restored.
+  expect(wrapper.vm.$validator.fields.find({ name: 'items[0].qty' }).restore()).toBe(true);
+  expect(wrapper.vm.$validator.fields.find({ name: 'terms' }).restore()).toBe(false);
+});
+
+test('only restores the values of the matching fields and keeps them by default', async () => {
+  const Vue = createLocalVue();
+  Vue.use(VeeValidate);
+  const wrapper = mount(ResetValuesComponent, { localVue: Vue });
+  await editAll(wrapper);
+
+  await wrapper.vm.$validator.reset();
+  expect(wrapper.vm.email).toBe('invalid');
+
+  await wrapper.vm.$validator.reset({ name: 'city' }, { values: true });
+  expect(wrapper.vm.address.city).toBe('Cairo');
+  expect(wrapper.vm.email).toBe('invalid');
+});
+
+test('commits the current values as the new initial values', async () => {
+  const Vue = createLocalVue();
+  Vue.use(VeeValidate);
+  const wrapper = mount(ResetValuesComponent, { localVue: Vue });
+  const field = wrapper.vm.$validator.fields.find({ name: 'email' });
+
+  wrapper.setData({ email: 'saved@example.com' });
+  await flushPromises();
+  expect(field.flags.changed).toBe(true);
+
+  wrapper.vm.$validator.commit({ name: 'email' });
+  expect(field.initialValue).toBe('saved@example.com');
+  expect(field.flags).toEqual(expect.objectContaining({ changed: false, dirty: false, pristine: true }));
+
+  wrapper.setData({ email: 'other@example.com' });
+  await flushPromises();
+  expect(field.flags.changed).toBe(true);
+
+  await wrapper.vm.$validator.reset({ name: 'email' }, { values: true });
+  expect(wrapper.vm.email).toBe('saved@example.com');
+});
@@ -3,6 +3,7 @@ import flushPromises from 'flush-promises';
 import VeeValidate from '@/index';
 import InputComponent from './components/stubs/Input';
 import TestComponent from './components/Targets';
+import NamedTargetsComponent from './components/TargetsByName';
 
 const Vue = createLocalVue();
 Vue.use(VeeValidate);
@@ -83,3 +84,71 @@ test('fails silently if it cannot find the target field', async () => {
 
   expect(wrapper.vm.$validator.fields.find({ name: 'f3' }).dependencies).toHaveLength(0);
 });
+
+test('resolves targets by their field name without refs', async () => {
+  const wrapper = mount(NamedTargetsComponent, { localVue: Vue });
+  const password = wrapper.find('#password');
+  const confirmation = wrapper.find('#confirmation');
+
+  password.element.value = 'secret';
+  password.trigger('input');
+  confirmation.element.value = 'other';
+  confirmation.trigger('input');
+  await flushPromises();
+
+  expect(wrapper.vm.errors.first('confirmation')).toBe('The confirmation confirmation does not match.');
+
+  confirmation.element.value = 'secret';
+  confirmation.trigger('input');
+  await flushPromises();
+
+  expect(wrapper.vm.errors.has('confirmation')).toBe(false);
+  wrapper.destroy();
+});
+
+test('resolves targets registered by other components by their vid', async () => {
+  const wrapper = mount(NamedTargetsComponent, { localVue: Vue });
+  const target = wrapper.find('input[name="field"]');
+  const dependent = wrapper.find('#childDependent');
+
+  target.element.value = '10';
+  dependent.element.value = '10';
+  expect(await wrapper.vm.$validator.validate('childDependent')).toBe(true);
+
+  dependent.element.value = '11';
+  expect(await wrapper.vm.$validator.validate('childDependent')).toBe(false);
+
+  // the names of other components fields are not matched.
+  expect(wrapper.vm.$validator.fields.find({ name: 'nameOnly' }).dependencies).toHaveLength(0);
+  wrapper.destroy();
+});
+
+test('links and unlinks targets that are attached or detached later', async () => {
+  const wrapper = mount(NamedTargetsComponent, { localVue: Vue });
+  const field = wrapper.vm.$validator.fields.find({ name: 'dependent' });
+  expect(field.dependencies).toHaveLength(0);
+
+  wrapper.setData({ showTarget: true });
+  await flushPromises();
+
+  const target = wrapper.vm.$validator.fields.find({ name: 'target' });
+  expect(field.dependencies).toHaveLength(1);
+  expect(field.dependencies[0].target).toBe(target);
+
+  wrapper.find('#target').element.value = '11';
+  wrapper.find('#dependent').element.value = '11';
+  wrapper.find('#dependent').trigger('input');
+  await flushPromises();
+  expect(wrapper.vm.errors.has('dependent')).toBe(false);
+
+  // the target changes re-validate the dependent field.
+  wrapper.find('#target').element.value = '10';
+  wrapper.find('#target').trigger('input');
+  await flushPromises();
+  expect(wrapper.vm.errors.first('dependent')).toBe('The dependent confirmation does not match.');
+
+  wrapper.setData({ showTarget: false });
+  await flushPromises();
+  expect(field.dependencies).toHaveLength(0);
+  wrapper.destroy();
+});
@@ -0,0 +1,44 @@
+import { mount, createLocalVue } from '@vue/test-utils';
+import flushPromises from 'flush-promises';
+import VeeValidate from '@/index';
+import TransformsComponent from './components/Transforms';
+
+const setValue = (input, value) => {
+  input.element.value = value;
+  input.trigger('input');
+};
+
+test('validates the values after they went through the field transforms', async () => {
+  const Vue = createLocalVue();
+  Vue.use(VeeValidate);
+
+  const wrapper = mount(TransformsComponent, { localVue: Vue });
+
+  setValue(wrapper.find('input[name="code"]'), '  ABC ');
+  setValue(wrapper.find('input[name="nickname"]'), '   ');
+  setValue(wrapper.find('input[name="plain"]'), ' abc ');
+  await flushPromises();
+
+  expect(wrapper.vm.errors.has('code')).toBe(false);
+  expect(wrapper.vm.errors.has('nickname')).toBe(true);
+  expect(wrapper.vm.errors.has('plain')).toBe(true);
+
+  // the input keeps the raw value, the transformed one is exposed on the field.
+  const field = wrapper.vm.$validator.fields.find({ name: 'code' });
+  expect(field.value).toBe('  ABC ');
+  expect(field.normalizedValue).toBe('abc');
+});
+
+test('the global transform applies to the fields without transforms', async () => {
+  const Vue = createLocalVue();
+  Vue.use(VeeValidate, { transform: 'trim' });
+
+  const wrapper = mount(TransformsComponent, { localVue: Vue });
+
+  setValue(wrapper.find('input[name="code"]'), ' DEF');
+  setValue(wrapper.find('input[name="plain"]'), ' abc ');
+  await flushPromises();
+
+  expect(wrapper.vm.errors.has('code')).toBe(false);
+  expect(wrapper.vm.errors.has('plain')).toBe(false);
+});
@@ -75,6 +75,26 @@ test('updates error objects by matching against field id', () => {
   expect(errors.count()).toBe(1);
 });
 
+test('renames the errors of a field and regenerates their messages', () => {
+  const errors = new ErrorBag();
+  const field = { name: 'items[0].qty' };
+  ['r1', 'r2'].forEach(rule => {
+    errors.add({
+      id: 'myId',
+      field: field.name,
+      msg: `${field.name} ${rule}`,
+      rule,
+      scope: 's1',
+      regenerate: () => `${field.name} ${rule}`
+    });
+  });
+
+  field.name = 'items[1].qty';
+  errors.update('myId', { field: field.name });
+  expect(errors.has('items[0].qty', 's1')).toBe(false);
+  expect(errors.collect('items[1].qty', 's1')).toEqual(['items[1].qty r1', 'items[1].qty r2']);
+});
+
 test('finds error messages by matching against field id', () => {
   const errors = new ErrorBag();
   errors.add({
@@ -415,6 +435,22 @@ test('fetches both scoped names and names with dots', () => {
   expect(errors.first('example.name')).toBe('The name is really invalid');
 });
 
+test('matches array paths unambiguously', () => {
+  const errors = new ErrorBag();
+  errors.add({ field: 'qty', msg: 'The scoped qty is invalid', rule: 'rule1', scope: 'items[3]' });
+  errors.add({ field: 'items[3].qty', msg: 'The qty is invalid', rule: 'rule1' });
+  errors.add({ field: 'items[3].qty', msg: 'The scoped path is invalid', rule: 'rule1', scope: 'order' });
+
+  expect(errors.first('items[3].qty')).toBe('The qty is invalid');
+  expect(errors.collect('items[3].qty')).toEqual(['The qty is invalid']);
+  expect(errors.first('order.items[3].qty')).toBe('The scoped path is invalid');
+  expect(errors.first('items[3].qty', 'order')).toBe('The scoped path is invalid');
+
+  errors.remove('items[3].qty');
+  expect(errors.has('items[3].qty')).toBe(false);
+  expect(errors.count()).toBe(2);
+});
+
 test('fields with multiple dots in their names are matched correctly', () => {
   const errors = new ErrorBag();
   errors.add({
@@ -491,3 +527,82 @@ test('collect() is scoped by vmId', () => {
   expect(mirror.collect()).toEqual({ field: ['nope'] });
   expect(errors.collect()).toEqual({ field: ['nope'] });
 });
+
+describe('creates error bags from server responses', () => {
+  test('laravel validation responses', () => {
+    const errors = ErrorBag.fromResponse({
+      message: 'The given data was invalid.',
+      errors: { email: ['The email is taken.'], 'items.0.qty': ['The qty is invalid.', 'The qty is too low.'] }
+    });
+
+    expect(errors.count()).toBe(3);
+    expect(errors.first('email')).toBe('The email is taken.');
+    expect(errors.collect('items[0].qty')).toEqual(['The qty is invalid.', 'The qty is too low.']);
+    expect(errors.items.every(e => e.server && e.rule === 'server')).toBe(true);
+  });
+
+  test('json:api error objects', () => {
+    const errors = ErrorBag.fromResponse({
+      errors: [
+        { detail: 'The title is required.', source: { pointer: '/data/attributes/title' } },
+        { title: 'Invalid tag', source: { pointer: '/data/attributes/tags/1' } },
+        { detail: 'Server error' }
+      ]
+    });
+
+    expect(errors.count()).toBe(2);
+    expect(errors.first('title')).toBe('The title is required.');
+    expect(errors.first('tags[1]')).toBe('Invalid tag');
+  });
+
+  test('rfc 7807 problem details', () => {
+    const errors = ErrorBag.fromResponse({
+      type: 'https://example.net/validation-error',
+      title: 'Your request parameters did not validate.',
+      'invalid-params': [{ name: 'age', reason: 'must be a positive integer' }, { name: 'color' }]
+    });
+
+    expect(errors.first('age')).toBe('must be a positive integer');
+    expect(errors.first('color')).toBe('Your request parameters did not validate.');
+  });
+
+  test('unwraps http client responses', () => {
+    const errors = ErrorBag.fromResponse({ response: { status: 422, data: { errors: { name: ['Nope'] } } } });
+    expect(errors.first('name')).toBe('Nope');
+
+    expect(ErrorBag.fromResponse({ status: 422, data: { errors: { name: ['Nope'] } } }).first('name')).toBe('Nope');
+  });
+
+  test('custom and named adapters', () => {
+    const adapter = payload => payload.failures.map(f => ({ field: f.path, msg: f.text }));
+    const errors = ErrorBag.fromResponse({ failures: [{ path: 'name', text: 'Nope' }] }, adapter);
+    expect(errors.first('name')).toBe('Nope');
+
+    // the named adapter does not recognize the payload.
+    expect(ErrorBag.fromResponse({ errors: { name: ['Nope'] } }, 'jsonapi').count()).toBe(0);
+    expect(ErrorBag.fromResponse(null).count()).toBe(0);
+  });
+
+  test('warns for unknown adapters', () => {
+    global.console = { warn: jest.fn() };
+
+    expect(ErrorBag.fromResponse({ errors: { name: ['Nope'] } }, 'graphql').count()).toBe(0);
+    expect(global.console.warn).toHaveBeenCalled();
+  });
+});
+
+test('keeps warnings in a separate bag', () => {
+  const errors = new ErrorBag();
+  const mirror = new ErrorBag(errors, 1);
+
+  mirror.warnings.add({ id: 'a', field: 'password', msg: 'The password is weak', rule: 'strong', severity: 'warning' });
+  expect(errors.warnings.first('password')).toBe('The password is weak');
+  expect(errors.count()).toBe(0);
+  expect(errors.warnings.warnings).toBeUndefined();
+
+  errors.update('a', { scope: 's1' });
+  expect(errors.warnings.first('s1.password')).toBe('The password is weak');
+
+  errors.removeById('a');
+  expect(errors.warnings.count()).toBe(0);
+});
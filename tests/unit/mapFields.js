@@ -176,3 +176,35 @@ describe('the mapped function resolves the field flags object', () => {
     expect(result).toEqual({});
   });
 });
+
+test('it can map the aggregate flags of field arrays', () => {
+  const flags = {
+    'items[0].qty': { dirty: true, valid: true, untouched: true },
+    'items[1].qty': { dirty: false, valid: false, untouched: true },
+    'items[1].sku': { dirty: false, valid: true, untouched: false },
+    'itemsCount': { dirty: true, valid: false, untouched: false },
+    $order: {
+      'lines[0]': { dirty: false, valid: true, untouched: true }
+    }
+  };
+
+  const ctx = {
+    $validator: { flags },
+    ...mapFields({
+      items: 'items[*]',
+      quantities: 'items[*].qty',
+      lines: 'order.lines[*]',
+      missing: 'other[*]'
+    })
+  };
+
+  expect(ctx.items().dirty).toBe(true);
+  expect(ctx.items().valid).toBe(false);
+  expect(ctx.items().untouched).toBe(false);
+
+  expect(ctx.quantities().valid).toBe(false);
+  expect(ctx.quantities().untouched).toBe(true);
+
+  expect(ctx.lines().valid).toBe(true);
+  expect(ctx.missing()).toEqual({});
+});
@@ -0,0 +1,123 @@
+import remote from '@/core/remote';
+import VeeValidate from '@/index';
+import flushPromises from 'flush-promises';
+
+const Validator = VeeValidate.Validator;
+
+// a fake fetcher that treats the values in the list as taken.
+const makeFetcher = (taken = ['admin']) => jest.fn(value => Promise.resolve(taken.indexOf(value) === -1));
+
+test('checks the value with the fetcher', async () => {
+  const fetcher = makeFetcher();
+  const rule = remote(fetcher);
+
+  expect(await rule.validate('admin', ['users'])).toEqual({ valid: false, data: {} });
+  expect(await rule.validate('someone', ['users'])).toEqual({ valid: true, data: {} });
+  expect(fetcher).toHaveBeenCalledWith('admin', ['users']);
+});
+
+test('throws if the fetcher is not a function', () => {
+  expect(() => remote(null)).toThrow();
+});
+
+test('caches the results by value', async () => {
+  const fetcher = makeFetcher();
+  const rule = remote(fetcher, { cache: 2 });
+
+  await rule.validate('a');
+  await rule.validate('a');
+  expect(fetcher).toHaveBeenCalledTimes(1);
+
+  // different params are cached apart.
+  await rule.validate('a', ['other']);
+  expect(fetcher).toHaveBeenCalledTimes(2);
+
+  // evicts the least recently used value.
+  await rule.validate('a');
+  await rule.validate('b');
+  await rule.validate('a');
+  expect(fetcher).toHaveBeenCalledTimes(3);
+  await rule.validate('a', ['other']);
+  expect(fetcher).toHaveBeenCalledTimes(4);
+
+  rule.clearCache();
+  await rule.validate('a');
+  expect(fetcher).toHaveBeenCalledTimes(5);
+});
+
+test('shares the requests in flight for the same value', async () => {
+  const fetcher = makeFetcher();
+  const rule = remote(fetcher, { cache: 0 });
+
+  const results = await Promise.all([rule.validate('admin'), rule.validate('admin')]);
+  expect(results[0].valid).toBe(false);
+  expect(results[1]).toBe(results[0]);
+  expect(fetcher).toHaveBeenCalledTimes(1);
+
+  // nothing is cached when the cache is disabled.
+  await rule.validate('admin');
+  expect(fetcher).toHaveBeenCalledTimes(2);
+});
+
+test('debounces the calls of superseded validations', async () => {
+  const fetcher = makeFetcher();
+  const rule = remote(fetcher, { debounce: 10 });
+  const first = { cancelled: false };
+  const second = { cancelled: false };
+
+  const pending = rule.validate('adm', [], first);
+  first.cancelled = true;
+  const result = rule.validate('admin', [], second);
+
+  expect((await pending).valid).toBe(true);
+  expect((await result).valid).toBe(false);
+  expect(fetcher).toHaveBeenCalledTimes(1);
+  expect(fetcher).toHaveBeenCalledWith('admin', []);
+});
+
+test('passes the checks that time out and caches the late results', async () => {
+  const fetcher = jest.fn(() => new Promise(resolve => setTimeout(() => resolve(false), 50)));
+  const rule = remote(fetcher, { timeout: 10 });
+
+  expect(await rule.validate('slow')).toEqual({ valid: true, data: { timeout: true } });
+
+  // the late result is used by the next validation of the value.
+  await new Promise(resolve => setTimeout(resolve, 60));
+  expect(await rule.validate('slow')).toEqual({ valid: false, data: {} });
+  expect(fetcher).toHaveBeenCalledTimes(1);
+});
+
+test('rejects when the fetcher fails', async () => {
+  const rule = remote(() => Promise.reject(new Error('Network Error')));
+
+  await expect(rule.validate('value')).rejects.toThrow('Network Error');
+});
+
+test('rejects when the fetcher throws', async () => {
+  const rule = remote(() => {
+    throw new Error('Invalid URL');
+  });
+
+  await expect(rule.validate('value')).rejects.toThrow('Invalid URL');
+
+  Validator.extend('throwing_remote', rule, { immediate: false });
+  const v = new Validator();
+  v.attach({ name: 'field', rules: 'throwing_remote', getter: () => 'value' });
+  await flushPromises();
+
+  await expect(v.validate('field')).rejects.toThrow('Invalid URL');
+});
+
+test('passes the fetcher data to the message', async () => {
+  const fetcher = value => Promise.resolve({ valid: false, data: { suggestion: `${value}42` } });
+  Validator.extend('handle_available', remote(fetcher, {
+    message: (field, params, data) => `The ${field} is taken, try ${data.suggestion}.`
+  }), { immediate: false });
+
+  const v = new Validator();
+  v.attach({ name: 'handle', rules: 'handle_available', getter: () => 'admin' });
+  await v.validate('handle');
+  await flushPromises();
+
+  expect(v.errors.first('handle')).toBe('The handle is taken, try admin42.');
+});
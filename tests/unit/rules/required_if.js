@@ -0,0 +1,15 @@
+import { validate } from '@/rules/required_if';
+
+test('validates conditional requirement', () => {
+  // target has one of the values, so the field is required.
+  expect(validate('', ['US', 'US', 'CA'])).toEqual({ valid: false, data: { required: true } });
+  expect(validate('value', ['CA', 'US', 'CA'])).toEqual({ valid: true, data: { required: true } });
+
+  // target has another value, so the field is not required.
+  expect(validate('', ['EG', 'US', 'CA'])).toEqual({ valid: true, data: { required: false } });
+  expect(validate(null, [undefined, 'US'])).toEqual({ valid: true, data: { required: false } });
+});
+
+test('compares the target value as a string', () => {
+  expect(validate('', [1, '1']).valid).toBe(false);
+});
@@ -0,0 +1,10 @@
+import { validate } from '@/rules/required_unless';
+
+test('validates conditional requirement', () => {
+  // target has one of the values, so the field is not required.
+  expect(validate('', ['US', 'US', 'CA'])).toEqual({ valid: true, data: { required: false } });
+
+  // target has another value, so the field is required.
+  expect(validate('', ['EG', 'US', 'CA'])).toEqual({ valid: false, data: { required: true } });
+  expect(validate('value', ['EG', 'US', 'CA'])).toEqual({ valid: true, data: { required: true } });
+});
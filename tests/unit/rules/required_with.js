@@ -0,0 +1,13 @@
+import { validate } from '@/rules/required_with';
+
+test('validates requirement when the target is present', () => {
+  expect(validate('', ['value'])).toEqual({ valid: false, data: { required: true } });
+  expect(validate('value', ['value'])).toEqual({ valid: true, data: { required: true } });
+  expect(validate('', [['a']]).valid).toBe(false);
+});
+
+test('passes when the target is not present', () => {
+  [undefined, null, '', ' ', []].forEach(target => {
+    expect(validate('', [target])).toEqual({ valid: true, data: { required: false } });
+  });
+});
@@ -0,0 +1,13 @@
+import { validate } from '@/rules/required_without';
+
+test('validates requirement when the target is not present', () => {
+  [undefined, null, '', ' ', []].forEach(target => {
+    expect(validate('', [target])).toEqual({ valid: false, data: { required: true } });
+  });
+
+  expect(validate('value', [''])).toEqual({ valid: true, data: { required: true } });
+});
+
+test('passes when the target is present', () => {
+  expect(validate('', ['value'])).toEqual({ valid: true, data: { required: false } });
+});
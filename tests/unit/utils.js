@@ -224,6 +224,46 @@ test('gets the value path with a fallback value', () => {
   expect(utils.getPath('value.val', some)).toBe(1); // exists.
   expect(utils.getPath('value.path', some)).toBe(undefined); // undefined but exists.
   expect(utils.getPath('value.not', some, false)).toBe(false); // does not.
+  expect(utils.getPath('value.val.deep', some, false)).toBe(false); // not an object.
+});
+
+test('gets the value of paths into arrays', () => {
+  const some = {
+    items: [{ qty: 1 }, { qty: 2, tags: ['a', 'b'] }]
+  };
+
+  expect(utils.getPath('items[1].qty', some)).toBe(2);
+  expect(utils.getPath('items.1.qty', some)).toBe(2);
+  expect(utils.getPath('items[1].tags[1]', some)).toBe('b');
+  expect(utils.getPath('items[2].qty', some, false)).toBe(false);
+});
+
+test('splits paths into segments', () => {
+  expect(utils.toPathSegments('address.city')).toEqual(['address', 'city']);
+  expect(utils.toPathSegments('items[3].qty')).toEqual(['items', '3', 'qty']);
+  expect(utils.toPathSegments('items[*].tags.*')).toEqual(['items', '*', 'tags', '*']);
+});
+
+test('expands path patterns against the data', () => {
+  const data = {
+    address: { city: 'Cairo' },
+    items: [{ qty: 1, tags: ['a'] }, { qty: 2, tags: ['b', 'c'] }]
+  };
+
+  expect(utils.expandPath('address.city', data)).toEqual(['address.city']);
+  expect(utils.expandPath('address.zip', data)).toEqual(['address.zip']);
+  expect(utils.expandPath('items.1.qty', data)).toEqual(['items[1].qty']);
+  expect(utils.expandPath('items[*].qty', data)).toEqual(['items[0].qty', 'items[1].qty']);
+  expect(utils.expandPath('items[*].tags[*]', data)).toEqual(['items[0].tags[0]', 'items[1].tags[0]', 'items[1].tags[1]']);
+  expect(utils.expandPath('address.*', data)).toEqual(['address.city']);
+  expect(utils.expandPath('missing[*].qty', data)).toEqual([]);
+});
+
+test('parses array paths as names rather than scopes', () => {
+  expect(utils.parseSelector('scope.name')).toEqual({ id: null, scope: 'scope', name: 'name', rule: null });
+  expect(utils.parseSelector('items[3].qty')).toEqual({ id: null, scope: null, name: 'items[3].qty', rule: null });
+  expect(utils.parseSelector('items[3].qty:required')).toEqual({ id: null, scope: null, name: 'items[3].qty', rule: 'required' });
+  expect(utils.parseSelector('scope.items[3].qty')).toEqual({ id: null, scope: 'scope', name: 'items[3].qty', rule: null });
 });
 
 test('debounces the provided function', done => {
@@ -311,6 +351,79 @@ describe('normalizes rules', () => {
       dummy: [1, 2, 3]
     });
   });
+
+  test('it normalizes combined rules expressions', () => {
+    expect(utils.normalizeRules('required|or:[email|digits:10]')).toEqual({
+      required: [],
+      or: [{ email: [] }, { digits: ['10'] }]
+    });
+
+    // the params of the branches keep their commas, even when followed by a space.
+    expect(utils.normalizeRules('or:[between:1, 10|email]')).toEqual({ or: [{ between: ['1', ' 10'] }, { email: [] }] });
+    expect(utils.normalizeRules('or:[between:1,5|all:[integer|min_value:10]]|not:in:admin,root')).toEqual({
+      or: [{ between: ['1', '5'] }, { all: [{ integer: [] }, { min_value: ['10'] }] }],
+      not: [{ in: ['admin', 'root'] }]
+    });
+
+    // brackets of other rules are not treated as combined expressions.
+    expect(utils.normalizeRules('regex:^[a|b]$|required')).toEqual({ regex: ['^[a|b]$'], required: [] });
+
+    expect(utils.normalizeRules({ or: ['email', { digits: 10 }], not: { in: ['admin'] } })).toEqual({
+      or: [{ email: [] }, { digits: [10] }],
+      not: [{ in: ['admin'] }]
+    });
+  });
+
+  test('it resolves the rules marked as warnings', () => {
+    expect(utils.normalizeRules('required|~min:8')).toEqual({ required: [], min: ['8'] });
+    expect(utils.resolveWarningRules('required|~min:8|~dummy')).toEqual(['min', 'dummy']);
+
+    expect(utils.normalizeRules({ required: true, '~min': 8 })).toEqual({ required: [], min: [8] });
+    expect(utils.resolveWarningRules({ required: true, '~min': 8, '~max': false })).toEqual(['min']);
+    expect(utils.resolveWarningRules(null)).toEqual([]);
+  });
+
+  test('it parses quoted, escaped and listed params', () => {
+    expect(utils.normalizeRules("included:'a,b',c|required")).toEqual({ included: ['a,b', 'c'], required: [] });
+    expect(utils.normalizeRules('included:"x|y",z')).toEqual({ included: ['x|y', 'z'] });
+    expect(utils.normalizeRules("included:'it\\'s'")).toEqual({ included: ["it's"] });
+    expect(utils.normalizeRules('included:a\\,b|max:3')).toEqual({ included: ['a,b'], max: ['3'] });
+    expect(utils.normalizeRules("included:[a, 'b,c']")).toEqual({ included: ['a', 'b,c'] });
+    expect(utils.normalizeRules('regex:"^\\d{1,3}$"')).toEqual({ regex: ['^\\d{1,3}$'] });
+    expect(utils.normalizeRules("regex:'^(a|b)$'|required")).toEqual({ regex: ['^(a|b)$'], required: [] });
+    expect(utils.normalizeRules('regex:^(a\\|b)$')).toEqual({ regex: ['^(a|b)$'] });
+    expect(utils.normalizeRules(`is:"'hello'"`)).toEqual({ is: ["'hello'"] });
+  });
+
+  test('it keeps the meaning of the existing expressions', () => {
+    expect(utils.normalizeRules('date_format:HH:mm|required')).toEqual({ date_format: ['HH:mm'], required: [] });
+    expect(utils.normalizeRules('regex:^\\d+\\s?$')).toEqual({ regex: ['^\\d+\\s?$'] });
+    expect(utils.normalizeRules('required|:blabla')).toEqual({ required: [] });
+    expect(utils.normalizeRules('regex:^\\[\\d+\\]$')).toEqual({ regex: ['^\\[\\d+\\]$'] });
+    expect(utils.normalizeRules('regex:^[^\\]]+$|required')).toEqual({ regex: ['^[^\\]]+$'], required: [] });
+
+    // quotes only delimit the params they start and end.
+    expect(utils.normalizeRules("excluded:'")).toEqual({ excluded: ["'"] });
+    expect(utils.normalizeRules("included:'a|max:3")).toEqual({ included: ["'a"], max: ['3'] });
+    expect(utils.normalizeRules("included:it's,'quoted'")).toEqual({ included: ["it's", 'quoted'] });
+    expect(utils.normalizeRules(`included:'a'b,"c`)).toEqual({ included: ["'a'b", '"c'] });
+  });
+
+  test('it throws with the position of malformed expressions', () => {
+    expect(() => utils.normalizeRules('regex:^[a')).toThrow('Unclosed bracket at position 7');
+    expect(() => utils.normalizeRules('regex:^(a|b)$')).toThrow('Unexpected "|" within a group, quote the parameter or escape the pipe at position 9');
+    expect(() => utils.normalizeRules('required|or:[email')).toThrow('Unclosed bracket at position 12');
+    expect(() => utils.normalizeRules('or:[email, digits:10]')).toThrow('Unexpected "," after the "email" rule, the combined expressions are separated by "|" at position 9');
+  });
+});
+
+test('finds the closest candidate to a word', () => {
+  const candidates = ['required', 'email', 'min', 'max', 'min_value'];
+  expect(utils.findClosest('requried', candidates)).toBe('required');
+  expect(utils.findClosest('Emial', candidates)).toBe('email');
+  expect(utils.findClosest('minvalue', candidates)).toBe('min_value');
+  expect(utils.findClosest('something', candidates)).toBe(null);
+  expect(utils.findClosest('email', [])).toBe(null);
 });
 
 test('creates branded errors', () => {
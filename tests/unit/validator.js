@@ -2,6 +2,7 @@ import { createLocalVue } from '@vue/test-utils';
 import Field from '@/core/field';
 import VeeValidate from '@/index';
 import Config from '@/config';
+import flushPromises from 'flush-promises';
 
 const Vue = createLocalVue();
 
@@ -509,6 +510,183 @@ test('can translate target field for field dependent validations', async () => {
   expect(v.errors.first('birthday')).toBe('The Birthday must be after Some Date.');
 });
 
+test('resolves target fields by vid, name and scope', async () => {
+  const v = new Validator();
+  let password = 'secret';
+  v.attach({ name: 'password', vid: 'pw', rules: 'required', getter: () => password });
+  v.attach({ name: 'password', scope: 's1', rules: 'required', getter: () => 'scoped' });
+  v.attach({ name: 'byName', rules: 'confirmed:password' });
+  v.attach({ name: 'byVid', rules: 'confirmed:pw' });
+  v.attach({ name: 'byScope', rules: 'confirmed:s1.password' });
+  v.attach({ name: 'inScope', scope: 's1', rules: 'confirmed:password' });
+
+  expect(await v.validate('byName', 'secret')).toBe(true);
+  expect(await v.validate('byVid', 'secret')).toBe(true);
+  expect(await v.validate('byScope', 'scoped')).toBe(true);
+  expect(await v.validate('s1.inScope', 'scoped')).toBe(true);
+
+  password = 'changed';
+  expect(await v.validate('byVid', 'secret')).toBe(false);
+  expect(v.errors.first('byVid')).toBe('The byVid confirmation does not match.');
+});
+
+test('re-validates the validated dependent fields when their target changes', async () => {
+  const v = new Validator();
+  const values = { password: 'secret', confirmation: 'secret', start: '2018-01-10', end: '2018-01-20', within: '2018-01-15' };
+  const getter = name => () => values[name];
+  v.extend('greater_than', {
+    getMessage: field => `The ${field} must be greater.`,
+    validate: (value, [other]) => Number(value) > Number(other)
+  }, { hasTarget: true });
+
+  v.attach({ name: 'password', rules: 'required', getter: getter('password') });
+  v.attach({ name: 'confirmation', rules: 'confirmed:password', getter: getter('confirmation') });
+  v.attach({ name: 'start', rules: 'date_format:YYYY-MM-DD|before:end', getter: getter('start') });
+  v.attach({ name: 'end', rules: 'date_format:YYYY-MM-DD|after:start', getter: getter('end') });
+  v.attach({ name: 'within', rules: 'date_format:YYYY-MM-DD|date_between:start,2018-12-31', getter: getter('within') });
+  v.attach({ name: 'min', rules: 'required', getter: () => 5 });
+  v.attach({ name: 'max', rules: 'greater_than:min', getter: () => 10 });
+  v.attach({ name: 'untouched', rules: 'confirmed:password', getter: () => 'nope' });
+
+  expect(await v.validateAll()).toBe(false);
+  expect(v.errors.has('untouched')).toBe(true);
+  v.reset({ name: 'untouched' });
+  await flushPromises();
+  expect(v.errors.count()).toBe(0);
+
+  // dependents that were never validated are left alone.
+  values.password = 'changed';
+  expect(await v.validate('password')).toBe(true);
+  expect(v.errors.first('confirmation')).toBe('The confirmation confirmation does not match.');
+  expect(v.errors.has('untouched')).toBe(false);
+
+  values.start = '2018-01-25';
+  expect(await v.validate('start')).toBe(false);
+  expect(v.errors.has('end')).toBe(true);
+  expect(v.errors.has('within')).toBe(true);
+
+  v.fields.find({ name: 'min' }).getter = () => 15;
+  expect(await v.validate('min')).toBe(true);
+  expect(v.errors.first('max')).toBe('The max must be greater.');
+});
+
+test('verifies values without attaching fields', async () => {
+  expect(await Validator.verify('abc', 'required|min:5')).toEqual({
+    valid: false,
+    errors: ['The {field} field must be at least 5 characters.'],
+    failedRules: { min: 'The {field} field must be at least 5 characters.' },
+    warnings: []
+  });
+
+  expect(await Validator.verify('', 'required|min:5', { name: 'title', bails: false })).toEqual({
+    valid: false,
+    errors: ['The title field is required.', 'The title field must be at least 5 characters.'],
+    failedRules: {
+      required: 'The title field is required.',
+      min: 'The title field must be at least 5 characters.'
+    },
+    warnings: []
+  });
+
+  expect(await Validator.verify('secret', 'confirmed:password', { values: { password: 'secret' } })).toEqual({
+    valid: true,
+    errors: [],
+    failedRules: {},
+    warnings: []
+  });
+
+  expect((await Validator.verify(10, 'promised')).valid).toBe(true);
+});
+
+test('validates plain objects against a schema without touching the errors or flags', async () => {
+  const v = new Validator();
+  v.attach({ name: 'email', rules: 'required|email' });
+
+  const result = await v.validateObject({ contact: 'abc', password: 'secret', confirmation: 'secrets', age: '' }, {
+    contact: 'required|email',
+    confirmation: { confirmed: 'password' },
+    age: 'numeric'
+  });
+
+  expect(result).toEqual({
+    valid: false,
+    errors: {
+      contact: ['The contact field must be a valid email.'],
+      confirmation: ['The confirmation confirmation does not match.'],
+      age: []
+    },
+    failedRules: {
+      contact: { email: 'The contact field must be a valid email.' },
+      confirmation: { confirmed: 'The confirmation confirmation does not match.' },
+      age: {}
+    },
+    warnings: { contact: [], confirmation: [], age: [] }
+  });
+  expect(v.errors.count()).toBe(0);
+  expect(v.fields.items).toHaveLength(1);
+  expect(v.fields.find({ name: 'email' }).flags.validated).toBe(false);
+
+  expect((await v.validateObject({ email: 'someone@example.com' }, { email: 'required|email' })).valid).toBe(true);
+  await expect(v.validateObject({ name: 'abc' }, { name: 'nonexistent_rule' })).rejects.toThrow();
+});
+
+test('validates nested objects and arrays against path schemas', async () => {
+  const v = new Validator();
+  Validator.localize('en', { attributes: { 'items[*].qty': 'quantity' } });
+
+  const data = {
+    address: { city: '', zip: 'abc' },
+    items: [{ qty: 1, sku: 'a1' }, { qty: 'many', sku: '' }],
+    tags: ['ok', '']
+  };
+  const result = await v.validateObject(data, {
+    'address.city': 'required',
+    'address.zip': 'integer',
+    'items': 'required',
+    'items[*].qty': 'required|integer',
+    'items[*].sku': 'required',
+    'tags.*': 'required',
+    'items[0].copy': 'confirmed:items[0].sku'
+  });
+
+  expect(result.valid).toBe(false);
+  expect(Object.keys(result.errors)).toEqual([
+    'address.city',
+    'address.zip',
+    'items',
+    'items[0].qty',
+    'items[1].qty',
+    'items[0].sku',
+    'items[1].sku',
+    'tags[0]',
+    'tags[1]',
+    'items[0].copy'
+  ]);
+  expect(result.errors['address.city']).toEqual(['The address.city field is required.']);
+  expect(result.errors['items[0].qty']).toEqual([]);
+  expect(result.errors['items[1].qty']).toEqual(['The quantity field must be an integer.']);
+  expect(result.failedRules['items[1].sku']).toEqual({ required: 'The items[1].sku field is required.' });
+  expect(result.errors['tags[1]']).toEqual(['The tags[1] field is required.']);
+  expect(result.errors['items[0].copy']).toEqual([]);
+
+  data.items[0].copy = 'b2';
+  expect((await v.validateObject(data, { 'items[0].copy': 'confirmed:items[0].sku' })).errors['items[0].copy']).toEqual([
+    'The items[0].copy confirmation does not match.'
+  ]);
+
+  // dates are not mistaken for target paths.
+  expect((await Validator.verify('2018-01-05', 'date_format:YYYY-MM-DD|after:2018-01-01')).valid).toBe(true);
+});
+
+test('resolves fields with array paths as names', async () => {
+  const v = new Validator();
+  v.attach({ name: 'items[3].qty', rules: 'required' });
+  v.attach({ name: 'qty', scope: 'items[3]', rules: 'numeric' });
+
+  expect(await v.validate('items[3].qty', '')).toBe(false);
+  expect(v.errors.first('items[3].qty')).toBe('The items[3].qty field is required.');
+});
+
 test('rules can return objects to provide context to the error message', async () => {
   const v = new Validator();
   v.extend('reason', {
@@ -982,6 +1160,28 @@ test('some fields can blacklist false as a non-empty value', async () => {
   expect(await v.validate(`#${field.id}`)).toBe(true);
 });
 
+test('rules can compute the required state of the field', async () => {
+  Validator.extend('required_when', (value, [state]) => {
+    const required = state === 'yes';
+
+    return { valid: !required || !!value, data: { required } };
+  }, { computesRequired: true });
+
+  const v = new Validator();
+  const field = v.attach({ name: 'field', rules: 'required_when:no|min:3' });
+  await flushPromises();
+  expect(field.flags.required).toBe(false);
+  // skipped because it is empty and not required.
+  expect(await v.validate('field', '')).toBe(true);
+  expect(await v.validate('field', 'ab')).toBe(false);
+
+  field.update({ rules: 'required_when:yes|min:3' });
+  expect(await v.validate('field', '')).toBe(false);
+  expect(field.isRequired).toBe(true);
+  expect(field.flags.required).toBe(true);
+  expect(v.errors.firstRule('field')).toBe('required_when');
+});
+
 test('localize api', () => {
   const v = new Validator();
 
@@ -1065,3 +1265,457 @@ test('removes the vm localeChanged listener when the validator is destroyed', ()
 
   expect(v._vm.$off).toHaveBeenCalled();
 });
+
+describe('server errors', () => {
+  test('adds the server errors to the matching fields', async () => {
+    const v = new Validator();
+    const email = v.attach({ name: 'email', rules: 'required', getter: () => 'me@example.com' });
+    v.attach({ name: 'qty', scope: 'items', rules: 'integer', getter: () => 1 });
+
+    v.setServerErrors({ errors: { email: ['The email is taken.'], other: ['Nope'] } });
+
+    expect(v.errors.first('email')).toBe('The email is taken.');
+    expect(v.errors.items[0]).toMatchObject({ id: email.id, rule: 'server', server: true, value: 'me@example.com' });
+    // errors for unknown fields are kept as is.
+    expect(v.errors.first('other')).toBe('Nope');
+    expect(email.flags.valid).toBe(false);
+
+    v.setServerErrors({ errors: { qty: ['Out of stock'] } }, { scope: 'items' });
+    expect(v.errors.first('items.qty')).toBe('Out of stock');
+    // replaces the previous server errors.
+    expect(v.errors.has('email')).toBe(false);
+    await flushPromises();
+    expect(email.flags.valid).toBe(true);
+  });
+
+  test('keeps the server errors until the field value changes', async () => {
+    const v = new Validator();
+    let value = 'me@example.com';
+    const field = v.attach({ name: 'email', rules: 'required', getter: () => value });
+
+    v.setServerErrors({ errors: { email: ['The email is taken.'] } });
+
+    expect(await v.validate('email')).toBe(false);
+    expect(v.errors.first('email')).toBe('The email is taken.');
+    expect(field.flags.valid).toBe(false);
+
+    value = 'you@example.com';
+    expect(await v.validate('email')).toBe(true);
+    expect(v.errors.has('email')).toBe(false);
+    expect(field.flags.valid).toBe(true);
+  });
+
+  test('client errors are reported alongside the server errors', async () => {
+    const v = new Validator();
+    v.attach({ name: 'code', rules: 'min:3', getter: () => 'ab' });
+
+    v.setServerErrors({ errors: { code: ['The code is unknown.'] } });
+    await v.validate('code');
+
+    expect(v.errors.collect('code')).toEqual(['The code is unknown.', 'The code field must be at least 3 characters.']);
+  });
+});
+
+describe('warning rules', () => {
+  test('warnings do not invalidate the field', async () => {
+    const v = new Validator();
+    const field = v.attach({ name: 'password', rules: 'required|~min:8', getter: () => 'secret' });
+
+    expect(await v.validate('password')).toBe(true);
+    expect(field.flags.valid).toBe(true);
+    expect(v.errors.count()).toBe(0);
+    expect(v.errors.warnings.first('password')).toBe('The password field must be at least 8 characters.');
+    expect(v.errors.warnings.items[0].severity).toBe('warning');
+  });
+
+  test('rules can be extended as warnings', async () => {
+    const v = new Validator();
+    v.extend('future', value => new Date(value) > new Date(2000, 0, 1), { severity: 'warning' });
+    expect(Validator.isWarningRule('future')).toBe(true);
+
+    let value = '1990-01-01';
+    v.attach({ name: 'date', rules: { future: true, integer: true }, getter: () => value });
+
+    expect(await v.validate('date')).toBe(false);
+    expect(v.errors.collect('date')).toEqual(['The date field must be an integer.']);
+    expect(v.errors.warnings.collect('date')).toEqual(['The date value is not valid.']);
+
+    value = Date.now();
+    expect(await v.validate('date')).toBe(true);
+    expect(v.errors.warnings.has('date')).toBe(false);
+  });
+
+  test('warnings are collected even when the validation bails', async () => {
+    const v = new Validator();
+    v.attach({ name: 'code', rules: { '~email': true, min: 5 }, getter: () => '12' });
+
+    await v.validate('code');
+    expect(v.errors.first('code')).toBe('The code field must be at least 5 characters.');
+    expect(v.errors.warnings.first('code')).toBe('The code field must be a valid email.');
+
+    // removing the field errors removes its warnings as well.
+    v.detach('code');
+    expect(v.errors.warnings.count()).toBe(0);
+  });
+
+  test('headless results include the warnings', async () => {
+    expect(await Validator.verify('abc', 'required|~min:5')).toEqual({
+      valid: true,
+      errors: [],
+      failedRules: {},
+      warnings: ['The {field} field must be at least 5 characters.']
+    });
+  });
+});
+
+describe('stale async results', () => {
+  // resolves each call when asked to, in any order.
+  const makeDeferredRule = () => {
+    const calls = [];
+    const rule = (value, params, token) => new Promise(resolve => {
+      calls.push({ value, token, resolve: () => resolve(value === 'valid') });
+    });
+
+    return { rule, calls };
+  };
+
+  test('drops the results of superseded runs', async () => {
+    const v = new Validator();
+    const { rule, calls } = makeDeferredRule();
+    v.extend('deferred', rule, { immediate: false });
+    let value = 'invalid';
+    const field = v.attach({ name: 'handle', rules: 'deferred', getter: () => value });
+
+    const first = v.validate('handle');
+    value = 'valid';
+    const second = v.validate('handle');
+    expect(calls[0].token.cancelled).toBe(true);
+    expect(calls[1].token.cancelled).toBe(false);
+    expect(calls[1].token.id).toBeGreaterThan(calls[0].token.id);
+
+    // the latest run settles first.
+    calls[1].resolve();
+    await flushPromises();
+    expect(field.flags.pending).toBe(false);
+    expect(field.flags.valid).toBe(true);
+
+    calls[0].resolve();
+    await flushPromises();
+    expect(field.flags.valid).toBe(true);
+    expect(v.errors.has('handle')).toBe(false);
+
+    // the superseded run resolves with the latest result.
+    expect(await first).toBe(true);
+    expect(await second).toBe(true);
+  });
+
+  test('stays pending until the latest run settles', async () => {
+    const v = new Validator();
+    const { rule, calls } = makeDeferredRule();
+    v.extend('deferred', rule, { immediate: false });
+    let value = 'valid';
+    const field = v.attach({ name: 'handle', rules: 'deferred', getter: () => value });
+
+    v.validate('handle');
+    value = 'invalid';
+    const latest = v.validate('handle');
+
+    calls[0].resolve();
+    await flushPromises();
+    expect(field.flags.pending).toBe(true);
+    expect(field.flags.validated).toBe(false);
+
+    calls[1].resolve();
+    expect(await latest).toBe(false);
+    expect(field.flags.pending).toBe(false);
+    expect(v.errors.has('handle')).toBe(true);
+  });
+
+  test('silent runs do not supersede the run in progress', async () => {
+    const v = new Validator();
+    const { rule, calls } = makeDeferredRule();
+    v.extend('deferred', rule, { immediate: false });
+    const field = v.attach({ name: 'handle', rules: 'deferred', getter: () => 'invalid' });
+
+    v.validate('handle');
+    v.validate('handle', 'valid', { silent: true });
+    expect(calls[0].token.cancelled).toBe(false);
+
+    calls.forEach(call => call.resolve());
+    await flushPromises();
+    expect(field.flags.valid).toBe(false);
+  });
+
+  test('resetting the field drops the results in progress', async () => {
+    const v = new Validator();
+    const { rule, calls } = makeDeferredRule();
+    v.extend('deferred', rule, { immediate: false });
+    v.attach({ name: 'handle', rules: 'deferred', getter: () => 'invalid' });
+
+    v.validate('handle');
+    await v.reset();
+    expect(calls[0].token.cancelled).toBe(true);
+
+    calls[0].resolve();
+    await flushPromises();
+    expect(v.errors.has('handle')).toBe(false);
+  });
+});
+
+describe('rules order', () => {
+  test('runs the rules with a higher priority first', async () => {
+    const v = new Validator({}, { fastExit: false });
+    const calls = [];
+    v.extend('expensive', value => calls.push('expensive') && true, { priority: -1 });
+    v.extend('cheap', value => calls.push('cheap') && true, { priority: 10 });
+    v.extend('plain', value => calls.push('plain') && true);
+    v.attach({ name: 'field', rules: 'expensive|plain|cheap|integer', getter: () => 1 });
+    await flushPromises();
+    calls.splice(0, calls.length);
+
+    await v.validate('field');
+    expect(calls).toEqual(['cheap', 'plain', 'expensive']);
+  });
+
+  test('sequential validators wait for each async rule and bail at the first failure', async () => {
+    const v = new Validator({}, { sequential: true });
+    const calls = [];
+    const makeRule = (name, valid) => () => {
+      calls.push(name);
+
+      return Promise.resolve(valid);
+    };
+    v.extend('first_async', makeRule('first', true));
+    v.extend('failing_async', makeRule('failing', false));
+    v.extend('last_async', makeRule('last', true));
+    v.attach({ name: 'field', rules: 'first_async|failing_async|last_async', getter: () => 'value' });
+    await flushPromises();
+    calls.splice(0, calls.length);
+
+    expect(await v.validate('field')).toBe(false);
+    expect(calls).toEqual(['first', 'failing']);
+    expect(v.errors.collect('field')).toHaveLength(1);
+
+    // fields that do not bail test every rule in order.
+    v.attach({ name: 'continues', rules: 'first_async|failing_async|~last_async', bails: false, getter: () => 'value' });
+    await flushPromises();
+    calls.splice(0, calls.length);
+    await v.validate('continues');
+    expect(calls).toEqual(['first', 'failing', 'last']);
+  });
+
+  test('fields can opt in or out of the sequential mode', async () => {
+    const v = new Validator();
+    const calls = [];
+    v.extend('failing_async', () => calls.push('failing') && Promise.resolve(false));
+    v.extend('last_async', () => calls.push('last') && Promise.resolve(true));
+
+    v.attach({ name: 'sequential', rules: 'failing_async|last_async', sequential: true, getter: () => 'value' });
+    await flushPromises();
+    calls.splice(0, calls.length);
+    await v.validate('sequential');
+    expect(calls).toEqual(['failing']);
+
+    calls.splice(0, calls.length);
+    v.attach({ name: 'parallel', rules: 'failing_async|last_async', getter: () => 'value' });
+    await flushPromises();
+    calls.splice(0, calls.length);
+    await v.validate('parallel');
+    expect(calls).toEqual(['failing', 'last']);
+  });
+});
+
+describe('combined rules', () => {
+  test('or passes if any of the expressions passes', async () => {
+    const v = new Validator();
+    let value = 'someone@example.com';
+    v.attach({ name: 'contact', rules: 'required|or:[email|digits:10]', getter: () => value });
+
+    expect(await v.validate('contact')).toBe(true);
+    value = '0123456789';
+    expect(await v.validate('contact')).toBe(true);
+
+    value = 'abc';
+    expect(await v.validate('contact')).toBe(false);
+    expect(v.errors.first('contact')).toBe(
+      'The contact field must be a valid email, or the contact field must be numeric and exactly contain 10 digits.'
+    );
+    expect(v.errors.firstRule('contact')).toBe('or.email');
+    expect(v.errors.firstByRule('contact', 'or')).toBeTruthy();
+    expect(v.errors.has('contact:or')).toBe(true);
+  });
+
+  test('not fails if the expression passes', async () => {
+    const v = new Validator();
+    let value = 'admin';
+    v.attach({ name: 'username', rules: { required: true, not: 'included:admin,root' }, getter: () => value });
+
+    expect(await v.validate('username')).toBe(false);
+    expect(v.errors.first('username')).toBe('The username field value is not allowed.');
+    expect(v.errors.firstRule('username')).toBe('not.included');
+
+    value = 'someone';
+    expect(await v.validate('username')).toBe(true);
+  });
+
+  test('all reports the failed rule of the group', async () => {
+    const v = new Validator();
+    v.attach({ name: 'code', rules: 'or:[all:[integer|min_value:100]|alpha]', getter: () => '12' });
+
+    expect(await v.validate('code')).toBe(false);
+    expect(v.errors.firstRule('code')).toBe('or.all.min_value');
+
+    expect((await Validator.verify('150', 'or:[all:[integer|min_value:100]|alpha]')).valid).toBe(true);
+    expect((await Validator.verify('abc', 'or:[all:[integer|min_value:100]|alpha]')).valid).toBe(true);
+  });
+});
+
+describe('unknown rules', () => {
+  afterEach(() => {
+    Config.merge({ strictRules: false });
+  });
+
+  test('warns about unknown rules with the closest rule name', () => {
+    const spy = jest.spyOn(global.console, 'warn').mockImplementation(() => {});
+    const field = new Field({ name: 'email', rules: 'requried|email|or:[digits:10|nope]' });
+
+    expect(spy).toHaveBeenCalledWith(`[vee-validate] No such validator 'requried' exists. Did you mean 'required'?`);
+    expect(spy).toHaveBeenCalledWith(`[vee-validate] No such validator 'nope' exists.`);
+    expect(spy).toHaveBeenCalledTimes(2);
+
+    spy.mockClear();
+    field.update({ rules: { required: true, emial: true } });
+    expect(spy).toHaveBeenCalledWith(`[vee-validate] No such validator 'emial' exists. Did you mean 'email'?`);
+    spy.mockRestore();
+  });
+
+  test('throws for unknown rules in strict rules mode', () => {
+    Config.merge({ strictRules: true });
+    const v = new Validator();
+
+    expect(() => v.attach({ name: 'email', rules: 'required|emali' })).toThrow(`Did you mean 'email'?`);
+    expect(v.fields.items).toHaveLength(0);
+
+    const field = v.attach({ name: 'name', rules: 'required' });
+    expect(() => field.update({ rules: 'required|alhpa' })).toThrow(`No such validator 'alhpa' exists.`);
+  });
+
+  test('rejects the headless validations with unknown rules', async () => {
+    const spy = jest.spyOn(global.console, 'warn').mockImplementation(() => {});
+    await expect(Validator.verify('x', 'required|alhpa')).rejects.toThrow(`No such validator 'alhpa' exists.`);
+    expect(spy).not.toHaveBeenCalled();
+
+    Config.merge({ strictRules: true });
+    await expect(Validator.verify('x', 'required|alhpa')).rejects.toThrow(`Did you mean 'alpha'?`);
+    await expect(new Validator().validateObject({ x: 'a' }, { x: 'emali' })).rejects.toThrow(`Did you mean 'email'?`);
+    spy.mockRestore();
+  });
+});
+
+describe('value transforms', () => {
+  test('runs the transforms before the rules', async () => {
+    const v = new Validator();
+    let value = '1,200';
+    const transform = [val => String(val).replace(/,/g, ''), 'number'];
+    const field = v.attach({ name: 'qty', rules: 'numeric|max_value:1000', transform, getter: () => value });
+
+    expect(field.normalizedValue).toBe(1200);
+    expect(await v.validate('qty')).toBe(false);
+    expect(v.errors.firstRule('qty')).toBe('max_value');
+
+    value = '9,00';
+    expect(await v.validate('qty')).toBe(true);
+
+    field.update({ transform: null });
+    expect(field.normalizedValue).toBe('9,00');
+    expect(await v.validate('qty')).toBe(false);
+  });
+
+  test('targeted fields are compared by their transformed values', async () => {
+    const v = new Validator();
+    v.attach({ name: 'email', rules: 'required', transform: 'trim|lowercase', getter: () => ' Someone@Example.com' });
+    v.attach({ name: 'confirmation', rules: 'confirmed:email', transform: 'lowercase', getter: () => 'someone@example.com' });
+
+    expect(await v.validate('confirmation')).toBe(true);
+  });
+
+  test('warns about unknown transforms', () => {
+    const spy = jest.spyOn(global.console, 'warn').mockImplementation(() => {});
+    const field = new Field({ name: 'name', transform: 'trim|capitalize', getter: () => ' abc ' });
+
+    expect(spy).toHaveBeenCalledWith(`[vee-validate] No transform named "capitalize" exists.`);
+    expect(field.normalizedValue).toBe('abc');
+    spy.mockRestore();
+  });
+});
+
+describe('hooks', () => {
+  test('reports attached and detached fields', () => {
+    const v = new Validator();
+    const attached = jest.fn();
+    const detached = jest.fn();
+    v.on('fieldAttached', attached);
+    v.on('fieldDetached', detached);
+
+    const field = v.attach({ name: 'email', scope: 's1', rules: 'required' });
+    expect(attached).toHaveBeenCalledWith(expect.objectContaining({ id: field.id, name: 'email', scope: 's1' }));
+
+    v.detach('email', 's1');
+    expect(detached).toHaveBeenCalledWith(expect.objectContaining({ id: field.id, name: 'email', scope: 's1' }));
+  });
+
+  test('reports the validation results and the changed errors', async () => {
+    const v = new Validator();
+    let value = '';
+    const field = v.attach({ name: 'name', rules: 'required', getter: () => value });
+    await flushPromises();
+
+    const validated = jest.fn();
+    const errorsChanged = jest.fn();
+    v.on('validated', validated);
+    v.on('errorsChanged', errorsChanged);
+
+    await v.validate('name');
+    expect(validated).toHaveBeenCalledWith(expect.objectContaining({ id: field.id, name: 'name', valid: false, value: '' }));
+    expect(errorsChanged).toHaveBeenCalledTimes(1);
+    expect(errorsChanged.mock.calls[0][0].errors[0].rule).toBe('required');
+
+    // same errors, nothing changed.
+    await v.validate('name');
+    expect(validated).toHaveBeenCalledTimes(2);
+    expect(errorsChanged).toHaveBeenCalledTimes(1);
+
+    value = 'someone';
+    await v.validate('name');
+    expect(errorsChanged).toHaveBeenCalledTimes(2);
+    expect(errorsChanged.mock.calls[1][0].errors).toEqual([]);
+  });
+
+  test('beforeValidate can replace the value or veto the run', async () => {
+    const v = new Validator();
+    const field = v.attach({ name: 'name', rules: 'required|alpha', getter: () => 'abc' });
+    await flushPromises();
+
+    const off = v.on('beforeValidate', payload => {
+      payload.value = '123';
+    });
+    expect(await v.validate('name')).toBe(false);
+    expect(v.errors.firstRule('name')).toBe('alpha');
+    off();
+
+    v.on('beforeValidate', ({ id }) => id !== field.id);
+    expect(await v.validate('name')).toBe(false);
+    // the vetoed run left the field as it was.
+    expect(v.errors.firstRule('name')).toBe('alpha');
+    expect(field.flags.pending).toBe(false);
+
+    v.off('beforeValidate');
+    expect(await v.validate('name')).toBe(true);
+  });
+
+  test('throws for unknown hooks', () => {
+    const v = new Validator();
+    expect(() => v.on('validation', () => {})).toThrow('No hook named "validation" exists');
+    expect(() => v.on('validated', null)).toThrow();
+  });
+});
@@ -44,6 +44,19 @@ test('decorates reset()', () => {
 
   v.reset({ name: 'field' });
   expect(base.reset).toHaveBeenCalledWith({ vmId: v.id, name: 'field' });
+
+  v.reset(null, { values: true });
+  expect(base.reset).toHaveBeenCalledWith({ vmId: v.id }, { values: true });
+});
+
+test('decorates commit()', () => {
+  const vm = { _uid: 0 };
+  const base = new Validator();
+  base.commit = jest.fn();
+  const v = new Decorator(base, vm);
+
+  v.commit({ name: 'field' });
+  expect(base.commit).toHaveBeenCalledWith({ vmId: v.id, name: 'field' });
 });
 
 test('decorates flag()', () => {
@@ -154,3 +167,31 @@ test('removes base instance when destroyed', () => {
   expect(v._base).toBe(undefined);
   expect(v.id).toBe(undefined);
 });
+
+test('hooks are scoped to the specific component id', () => {
+  const base = new Validator();
+  const v1 = new Decorator(base, { _uid: 1 });
+  const v2 = new Decorator(base, { _uid: 2 });
+  const attached = jest.fn();
+  v1.on('fieldAttached', attached);
+
+  v2.attach({ name: 'other' });
+  expect(attached).not.toHaveBeenCalled();
+
+  v1.attach({ name: 'name' });
+  expect(attached).toHaveBeenCalledWith(expect.objectContaining({ name: 'name', vmId: 1 }));
+
+  v1.off();
+  v1.attach({ name: 'another' });
+  expect(attached).toHaveBeenCalledTimes(1);
+  expect(base._hooks.fieldAttached).toHaveLength(0);
+});
+
+test('decorates focusFirstError()', () => {
+  const base = new Validator();
+  base.focusFirstError = jest.fn();
+  const v = new Decorator(base, { _uid: 3 });
+
+  v.focusFirstError('s1', { scroll: true });
+  expect(base.focusFirstError).toHaveBeenCalledWith('s1', { vmId: 3, scroll: true });
+});
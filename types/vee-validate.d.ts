@@ -6,21 +6,38 @@ export interface VeeValidateComponentOptions {
     value?: () => string;
     rejectsFalse?: boolean;
     events?: string;
+    mode?: InteractionMode;
+    transform?: Transform;
 }
 
+export interface InteractionModeContext {
+    errors: string[];
+    flags: FieldFlags;
+    value: any;
+}
+
+export type Transform = string | ((value: any) => any) | Array<string | ((value: any) => any)>;
+
+export type InteractionMode = 'aggressive' | 'lazy' | 'eager' | 'passive' | ((context: InteractionModeContext) => { on: string | string[] });
+
 export interface Configuration {
     locale?: string;
     delay?: number;
     errorBagName?: string;
     dictionary?: any;
     strict?: boolean;
+    strictRules?: boolean;
     fieldsBagName?: string;
     classes?: any;
     classNames?: any;
     events?: string;
+    mode?: InteractionMode;
+    transform?: Transform;
     inject?: boolean;
     fastExit?: boolean;
+    sequential?: boolean;
     aria?: boolean;
+    liveRegion?: boolean;
     validity?: boolean;
 }
 
@@ -36,8 +53,16 @@ export interface FieldFlags {
     pending: boolean;
 }
 
+export interface FormFlags {
+    submitting: boolean;
+    submitCount: number;
+    submitFailed: boolean;
+}
+
 export interface FieldOptions {
     name: string;
+    vid?: string;
+    key?: string;
     alias?: string;
     aria?: boolean;
     classNames?: {
@@ -53,11 +78,15 @@ export interface FieldOptions {
     delay?: number;
     el?: HTMLElement;
     events?: string;
+    mode?: InteractionMode;
     getter?: () => any;
+    setter?: (value: any) => boolean;
     initial?: boolean;
     initialValue?: any;
     listen?: boolean;
     rules?: string | Object;
+    sequential?: boolean;
+    transform?: Transform;
     scope?: string | null;
     targetOf?: string | null;
     validity?: boolean;
@@ -66,6 +95,8 @@ export interface FieldOptions {
 
 export class Field {
     id: string;
+    vid?: string;
+    key?: string;
     name: string;
     scope: string;
     flags: FieldFlags;
@@ -73,7 +104,17 @@ export class Field {
     initial: boolean;
     el: any;
     value: any;
+    normalizedValue: any;
+    initialValue: any;
+    readonly focusTarget: HTMLElement | null;
+    readonly errorId: string;
+    errorElements: HTMLElement[];
     rules: any;
+    normalize(value: any): any;
+    restore(): boolean;
+    commit(): void;
+    addErrorElement(el: HTMLElement): void;
+    removeErrorElement(el: HTMLElement): void;
     update(options:object): void;
 }
 
@@ -83,11 +124,14 @@ export interface ErrorField {
     scope?: string;
     rule?: string;
     id?: string;
+    server?: boolean;
+    severity?: 'warning';
 }
 
 export class ErrorBag {
     constructor();
     items: ErrorField[];
+    warnings: ErrorBag;
     add(error: ErrorField): void;
     all(scope?: string): string[];
     any(scope?: string): boolean;
@@ -102,6 +146,14 @@ export class ErrorBag {
     removeById(id: string): void;
     firstById(id: string): string;
     update(id: string, diff: Object): void;
+    static fromResponse(response: any, adapter?: string|ServerErrorsAdapter): ErrorBag;
+}
+
+export type ServerErrorsAdapter = (payload: any) => { field: string, msg: string }[];
+
+export interface ServerErrorsOptions {
+    adapter?: string|ServerErrorsAdapter;
+    scope?: string;
 }
 
 export class FieldBag {
@@ -117,10 +169,52 @@ export interface FieldFlagsBag {
 
 export interface FieldMatchOptions {
     id?: string;
+    vid?: string;
     scope?: string;
     name?: string;
 }
 
+export interface VerifyOptions {
+    name?: string;
+    values?: { [x: string]: any };
+    bails?: boolean;
+}
+
+export interface VerifyResult {
+    valid: boolean;
+    errors: string[];
+    failedRules: { [x: string]: string };
+    warnings: string[];
+}
+
+export interface ObjectValidationResult {
+    valid: boolean;
+    errors: { [x: string]: string[] };
+    failedRules: { [x: string]: { [x: string]: string } };
+    warnings: { [x: string]: string[] };
+}
+
+export interface ValidateAllOptions {
+    silent?: boolean;
+    focus?: boolean;
+    scroll?: boolean | ScrollIntoViewOptions;
+}
+
+export type ValidatorHook = 'beforeValidate' | 'validated' | 'fieldAttached' | 'fieldDetached' | 'errorsChanged';
+
+export interface HookPayload {
+    id: string;
+    vmId?: number;
+    name: string;
+    scope?: string | null;
+    value?: any;
+    initial?: boolean;
+    silent?: boolean;
+    valid?: boolean;
+    errors?: ErrorField[];
+    warnings?: ErrorField[];
+}
+
 export class Validator {
     errors: ErrorBag;
     fields: FieldBag;
@@ -136,7 +230,8 @@ export class Validator {
     constructor(validations: any, options: any);
     attach(name: string, checks: string|Object, options?: Object): Field;
     attach(options: FieldOptions): Field;
-    reset(matcher?: FieldMatchOptions): Promise<void>;
+    reset(matcher?: FieldMatchOptions, options?: { values?: boolean }): Promise<void>;
+    commit(matcher?: FieldMatchOptions): void;
     detach(name: string, scope?: string): void;
     extend(name: string, validator: Object|Function, options?:ExtendOptions): void;
     flag(name: string, flags: Object): void;
@@ -148,8 +243,16 @@ export class Validator {
     localize(language: string, dictionary?: Object) :void;
     setStrictMode(strictMode?: boolean): void;
     validate(name: string, value?: any, scope?: string, silent?: boolean): Promise<any>;
-    validateAll(values?: Object, scope?: string, silent?: boolean): Promise<any>;
-    validateScopes(silent?: boolean): Promise<any>;
+    validateAll(values?: string|string[]|Object, options?: ValidateAllOptions): Promise<boolean>;
+    validateScopes(options?: ValidateAllOptions): Promise<boolean>;
+    focusFirstError(scope?: string | null, options?: { scroll?: boolean | ScrollIntoViewOptions }): Field | null;
+    setServerErrors(response: any, options?: ServerErrorsOptions): void;
+    on(hook: ValidatorHook, handler: (payload: HookPayload) => boolean | void): () => void;
+    off(hook?: ValidatorHook, handler?: (payload: HookPayload) => boolean | void): void;
+    validateObject(data: Object, schema: { [x: string]: string|Object }, options?: { bails?: boolean }): Promise<ObjectValidationResult>;
+    static verify(value: any, rules: string|Object, options?: VerifyOptions): Promise<VerifyResult>;
+    static isWarningRule(name: string): boolean;
+    static checkRules(rules: Object): void;
     static create(validations: Object, options: any): Validator;
     static extend(name: string, validator: Object|Function, options?:ExtendOptions): void;
     static remove(name: string): void;
@@ -159,11 +262,39 @@ export class Validator {
 }
 
 export class ExtendOptions  {
-  hasTarget?: boolean
+  hasTarget?: boolean;
+  computesRequired?: boolean;
+  severity?: 'error' | 'warning';
+  priority?: number;
 }
 
+export interface RemoteRuleOptions {
+    debounce?: number;
+    cache?: number;
+    timeout?: number;
+    message?: string | ((field: string, params: any[], data: any) => string);
+}
+
+export interface RemoteRule {
+    validate(value: any, params?: any[], token?: { cancelled: boolean }): Promise<{ valid: boolean, data: any }>;
+    getMessage?: (field: string, params: any[], data: any) => string;
+    clearCache(): void;
+}
+
+export function remote(fetcher: (value: any, params: any[]) => boolean | { valid: boolean, data?: any } | Promise<boolean | { valid: boolean, data?: any }>, options?: RemoteRuleOptions): RemoteRule;
+
 export const version: string;
 
 export const install: Vue.PluginFunction<never>
 
 export const directive: Vue.DirectiveOptions;
+
+export const formDirective: Vue.DirectiveOptions;
+
+export const ValidationProvider: Vue.ComponentOptions<Vue>;
+
+export const ValidationObserver: Vue.ComponentOptions<Vue>;
+
+export const ErrorComponent: Vue.ComponentOptions<Vue>;
+
+export const ErrorSummary: Vue.ComponentOptions<Vue>;